@@ -0,0 +1,79 @@
+// Authentication middleware for the GenSpark Career Advisor API
+const admin = require('firebase-admin');
+
+/**
+ * Verify the Firebase ID token sent as `Authorization: Bearer <token>`
+ * On success the decoded token is available as req.user (req.user.uid).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function verifyFirebaseToken(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Missing Authorization bearer token'
+        });
+    }
+
+    try {
+        req.user = await admin.auth().verifyIdToken(match[1]);
+        return next();
+    } catch (error) {
+        console.warn('ID token verification failed:', error.code || error.message);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * Reject requests whose body uid does not belong to the authenticated user
+ * Must run after verifyFirebaseToken.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireMatchingUid(req, res, next) {
+    const bodyUid = req.body && req.body.uid;
+
+    if (bodyUid !== undefined && bodyUid !== req.user.uid) {
+        console.warn(`uid mismatch: token ${req.user.uid}, body ${bodyUid}`);
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'uid does not match the authenticated user'
+        });
+    }
+
+    return next();
+}
+
+/**
+ * Allow only users with the `admin` custom claim
+ * Grant it with admin.auth().setCustomUserClaims(uid, { admin: true }).
+ * Must run after verifyFirebaseToken.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+    if (req.user && req.user.admin === true) {
+        return next();
+    }
+
+    console.warn(`Admin route denied for ${req.user ? req.user.uid : 'unknown user'}`);
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin access required'
+    });
+}
+
+module.exports = {
+    verifyFirebaseToken,
+    requireMatchingUid,
+    requireAdmin
+};
@@ -0,0 +1,91 @@
+// Content-addressed cache for LLM responses
+//
+// Entries are keyed on a SHA-256 of provider, model, task and the full prompt,
+// so identical prompts (regenerations, profile edits that leave a prompt
+// unchanged) are answered without another AI call. Firestore entries carry
+// `expiresAt` for a TTL policy and are also treated as stale after it passes.
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const DEFAULT_TTL_MS = (Number(process.env.AI_CACHE_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+/**
+ * Build the cache key for a prompt
+ * @param {Object} provider - LLM provider ({ name, model })
+ * @param {string} prompt - Prompt text
+ * @param {string} task - Task name passed to generate
+ * @returns {string} - Hex SHA-256 digest
+ */
+function createPromptCacheKey(provider, prompt, task = '') {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([provider.name, provider.model, task, prompt]))
+        .digest('hex');
+}
+
+/**
+ * Cache store backed by the Firestore `aiCache` collection
+ * @returns {Object} - Store with get(key) and set(key, entry)
+ */
+function createFirestoreCacheStore() {
+    const collection = admin.firestore().collection('aiCache');
+    return {
+        async get(key) {
+            const snap = await collection.doc(key).get();
+            return snap.exists ? snap.data() : null;
+        },
+        async set(key, entry) {
+            await collection.doc(key).set({
+                ...entry,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: admin.firestore.Timestamp.fromMillis(entry.expiresAtMs)
+            });
+        }
+    };
+}
+
+/**
+ * Wrap an LLM provider with a response cache
+ * Cache failures are logged and never fail the underlying call.
+ * @param {Object} provider - LLM provider
+ * @param {Object} options - Optional store and ttlMs
+ * @returns {Object} - Provider with the same interface
+ */
+function withPromptCache(provider, { store = createFirestoreCacheStore(), ttlMs = DEFAULT_TTL_MS } = {}) {
+    return {
+        ...provider,
+        async generate(prompt, options = {}) {
+            const key = createPromptCacheKey(provider, prompt, options.task);
+
+            try {
+                const entry = await store.get(key);
+                if (entry && typeof entry.response === 'string' && entry.expiresAtMs > Date.now()) {
+                    return entry.response;
+                }
+            } catch (error) {
+                console.warn('AI cache read failed:', error.message);
+            }
+
+            const response = await provider.generate(prompt, options);
+
+            try {
+                await store.set(key, {
+                    response,
+                    provider: provider.name,
+                    model: provider.model,
+                    task: options.task || null,
+                    expiresAtMs: Date.now() + ttlMs
+                });
+            } catch (error) {
+                console.warn('AI cache write failed:', error.message);
+            }
+
+            return response;
+        }
+    };
+}
+
+module.exports = {
+    createPromptCacheKey,
+    createFirestoreCacheStore,
+    withPromptCache
+};
@@ -0,0 +1,33 @@
+// Engine block recorded with every recommendation run
+//
+// Lists the catalog and data versions, weights, model and prompt versions a
+// run was produced with, so a stored run can be reproduced and audited.
+const { PROMPT_VERSIONS } = require('./prompts');
+const { SCORE_WEIGHTS, INTEREST_TAXONOMY_VERSION } = require('./utils');
+const { SKILL_GRAPH_VERSION, EDGE_CREDIT } = require('./skill_graph');
+const { RESOURCES_VERSION } = require('./resources');
+
+/**
+ * Describe the engine behind a recommendation run
+ * @param {Object} provider - LLM provider with name and model
+ * @param {Object} catalog - Role catalog from getRoles()
+ * @returns {Object} - Engine block stored with the run
+ */
+function describeEngine(provider, catalog) {
+    return {
+        rolesVersion: catalog.version,
+        rolesSource: catalog.source,
+        skillGraphVersion: SKILL_GRAPH_VERSION,
+        resourcesVersion: RESOURCES_VERSION,
+        interestTaxonomyVersion: INTEREST_TAXONOMY_VERSION,
+        scoreWeights: { ...SCORE_WEIGHTS },
+        edgeCredit: { ...EDGE_CREDIT },
+        provider: provider.name,
+        model: provider.model,
+        promptVersions: { ...PROMPT_VERSIONS }
+    };
+}
+
+module.exports = {
+    describeEngine
+};
@@ -0,0 +1,104 @@
+// Basic unit tests for engine.js
+
+const { describeEngine } = require('./engine');
+const { SCORE_WEIGHTS } = require('./utils');
+const { EDGE_CREDIT } = require('./skill_graph');
+const { PROMPT_VERSIONS } = require('./prompts');
+const bundled = require('./roles.json');
+const skillGraph = require('./skill_graph.json');
+const resources = require('./resources.json');
+const interestTaxonomy = require('./interest_taxonomy.json');
+
+// Mock test data
+function createMockProvider() {
+    return { name: 'stub', model: 'stub-model' };
+}
+
+// Test describeEngine records every versioned input of a run
+function testDescribeEngine() {
+    console.log('Testing describeEngine...');
+
+    const engine = describeEngine(createMockProvider(), { version: 3, source: 'firestore' });
+    const passed = engine.rolesVersion === 3 &&
+                   engine.rolesSource === 'firestore' &&
+                   engine.provider === 'stub' &&
+                   engine.model === 'stub-model' &&
+                   JSON.stringify(engine.scoreWeights) === JSON.stringify(SCORE_WEIGHTS) &&
+                   JSON.stringify(engine.promptVersions) === JSON.stringify(PROMPT_VERSIONS);
+    console.log(`  describeEngine (catalog, model and prompts): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const passed2 = engine.skillGraphVersion === skillGraph.version &&
+                    engine.resourcesVersion === resources.version &&
+                    engine.interestTaxonomyVersion === interestTaxonomy.version &&
+                    JSON.stringify(engine.edgeCredit) === JSON.stringify(EDGE_CREDIT) &&
+                    [engine.skillGraphVersion, engine.resourcesVersion, engine.interestTaxonomyVersion].every(Boolean);
+    console.log(`  describeEngine (data versions and edge credit): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    // The block is a copy, so later changes to the weights do not rewrite it
+    engine.scoreWeights.skills = -1;
+    engine.edgeCredit.child = -1;
+    const passed3 = SCORE_WEIGHTS.skills !== -1 && EDGE_CREDIT.child !== -1;
+    console.log(`  describeEngine (copies weights): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test the bundled role catalog reports the roles.json version
+function testBundledRolesVersion() {
+    console.log('Testing bundled roles version...');
+
+    const { BUNDLED_ROLES_VERSION } = require('./roles');
+    const engine = describeEngine(createMockProvider(), { version: BUNDLED_ROLES_VERSION, source: 'bundled' });
+    const passed = Number.isInteger(bundled.version) && bundled.version > 0 &&
+                   BUNDLED_ROLES_VERSION === bundled.version &&
+                   engine.rolesVersion === bundled.version &&
+                   Object.keys(bundled.roles).length > 0;
+    console.log(`  describeEngine (bundled roles version): ${passed ? 'PASS' : 'FAIL'}`);
+
+    return passed;
+}
+
+// Run all tests
+function runAllTests() {
+    console.log('Running engine tests...\n');
+
+    const tests = [
+        testDescribeEngine,
+        testBundledRolesVersion
+    ];
+
+    let passedTests = 0;
+    let totalTests = tests.length;
+
+    for (const test of tests) {
+        try {
+            if (test()) {
+                passedTests++;
+            }
+        } catch (error) {
+            console.log(`  ${test.name}: FAILED with error: ${error.message}`);
+        }
+    }
+
+    console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log('❌ Some tests failed. Please check the output above.');
+    }
+
+    return passedTests === totalTests;
+}
+
+// Export for use in other test files
+module.exports = {
+    runAllTests,
+    testDescribeEngine,
+    testBundledRolesVersion
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runAllTests();
+}
@@ -0,0 +1,47 @@
+// Error handling helpers for the GenSpark Career Advisor API
+
+/**
+ * Error that maps directly onto an HTTP response
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code to respond with
+     * @param {string} message - Message safe to show to the client
+     * @param {Object} options - Optional retryAfter (seconds) and details
+     */
+    constructor(status, message, { retryAfter = null, details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.details = details;
+    }
+}
+
+/**
+ * Send an error response using the error's status when it has one
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+    const isApiError = error instanceof ApiError;
+    const status = isApiError ? error.status : 500;
+
+    if (isApiError && error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    const body = {
+        error: isApiError ? error.message : 'Internal server error',
+        message: 'Please try again later'
+    };
+    if (isApiError && error.retryAfter) body.retryAfter = error.retryAfter;
+    if (isApiError && error.details) body.details = error.details;
+
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ApiError,
+    sendError
+};
@@ -0,0 +1,49 @@
+// Supported languages and server-side localized text
+//
+// The browser has its own message catalogs (public/locales/); the server only
+// needs the language list, the language names used in prompts and the generic
+// learning plan shown when the AI plan cannot be used.
+const catalog = require('./i18n.json');
+
+const DEFAULT_LANGUAGE = catalog.defaultLanguage;
+const SUPPORTED_LANGUAGES = Object.keys(catalog.languages);
+
+/**
+ * Whether a language code is supported
+ * @param {string} language - Language code, e.g. 'hi'
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * English name of a language, as written in prompts
+ * @param {string} language - Language code
+ * @returns {string} - e.g. 'Tamil'; unsupported codes give the default language
+ */
+function getLanguageName(language) {
+    const entry = catalog.languages[language] || catalog.languages[DEFAULT_LANGUAGE];
+    return entry.name;
+}
+
+/**
+ * Phases of the generic learning plan in a language
+ * @param {string} language - Language code
+ * @returns {Object} - { phases, continued } where continued formats a repeated topic
+ */
+function getFallbackPlanText(language) {
+    const text = catalog.fallbackPlans[language] || catalog.fallbackPlans[DEFAULT_LANGUAGE];
+    return {
+        phases: text.phases,
+        continued: topic => text.continued.replace('{topic}', topic)
+    };
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    isSupportedLanguage,
+    getLanguageName,
+    getFallbackPlanText
+};
@@ -8,9 +8,26 @@ require('dotenv').config();
 admin.initializeApp();
 
 // Import local modules
-const { buildExplainPrompt, buildPlanPrompt, buildExtractSkillsPrompt } = require('./prompts');
-const { calculateFitScore, normalizeSkills, calculateEnhancedFitScore, canonicalizeSkillName } = require('./utils');
-const roles = require('./roles.json');
+const { buildExplainPrompt, buildExtractSkillsPrompt } = require('./prompts');
+const { generateLearningPlan, suggestPlanWeeks, MIN_PLAN_WEEKS, MAX_PLAN_WEEKS } = require('./plans');
+const { calculateFitScore, normalizeSkills, calculateEnhancedFitScore, calculateFitBreakdown, calculateUpskillSkills, canonicalizeSkillName, parseSkillEntry, suggestSkills, mapWithConcurrency } = require('./utils');
+const { createProvider } = require('./llm');
+const { verifyFirebaseToken, requireMatchingUid, requireAdmin } = require('./auth');
+const { rateLimit, meterProvider } = require('./ratelimit');
+const { ApiError, sendError } = require('./errors');
+const { withPromptCache } = require('./cache');
+const { ROLE_LEVELS, getRoles, resolveRoleLevel, validateRole, writeRole } = require('./roles');
+const { orderByLearnability } = require('./skill_graph');
+const { readUploadedResume } = require('./resume');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('./i18n');
+const { openEventStream } = require('./stream');
+const { describeEngine } = require('./engine');
+
+// Maximum number of role pipelines (explain + plan) running at once
+const ROLE_CONCURRENCY = Number(process.env.ROLE_CONCURRENCY) || 3;
+
+// Client request ids double as recommendation document ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
 
 // Initialize Express app
 const app = express();
@@ -50,41 +67,33 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Every /api route below requires a verified Firebase ID token
+app.use('/api', verifyFirebaseToken);
+
 // Main recommendation endpoint
-app.post('/api/recommend', async (req, res) => {
+app.post('/api/recommend', requireMatchingUid, loadRecommendationRequest, rateLimit('recommend', { skip: isReplay }), async (req, res) => {
     try {
         console.log('Received recommendation request:', { 
-            uid: req.body.uid,
+            uid: req.user.uid,
             profileKeys: Object.keys(req.body.profile || {})
         });
 
-        // Validate request
-        const validation = validateRequest(req.body);
-        if (!validation.isValid) {
-            console.warn('Invalid request:', validation.errors);
-            return res.status(400).json({
-                error: 'Invalid request',
-                details: validation.errors
-            });
-        }
-
-        const { uid, profile } = req.body;
-
-        // Normalize and validate profile data
-        const normalizedProfile = normalizeProfile(profile);
-        
-        // Get Gemini API key
-        const geminiApiKey = getGeminiApiKey();
-        if (!geminiApiKey) {
-            console.error('Gemini API key not configured');
-            return res.status(500).json({
-                error: 'AI service not configured',
-                message: 'Please contact support'
+        const { uid, profile, provider, requestId, saved } = req.recommendation;
+
+        // A retried request gets the run it already produced
+        if (saved) {
+            console.log(`Replayed recommendations ${saved.id} for user ${uid}`);
+            return res.status(200).json({
+                success: true,
+                recommendationId: saved.id,
+                recommendations: saved.recommendations,
+                generatedAt: saved.generatedAt,
+                replayed: true
             });
         }
 
         // Generate recommendations
-        const recommendations = await generateRecommendations(normalizedProfile, geminiApiKey);
+        const { recommendations, engine } = await generateRecommendations(profile, provider);
         
         if (!recommendations || recommendations.length === 0) {
             console.error('Failed to generate recommendations');
@@ -95,46 +104,124 @@ app.post('/api/recommend', async (req, res) => {
         }
 
         // Save recommendations to Firestore
-        await saveRecommendationsToFirestore(uid, recommendations);
+        const recommendationId = await saveRecommendationsToFirestore(uid, recommendations, profile, engine, requestId);
 
         console.log(`Generated ${recommendations.length} recommendations for user ${uid}`);
 
         res.status(200).json({
             success: true,
+            recommendationId: recommendationId,
             recommendations: recommendations,
             generatedAt: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Error in /api/recommend:', error);
-        
-        let statusCode = 500;
-        let errorMessage = 'Internal server error';
-        
-        if (error.message.includes('API key')) {
-            statusCode = 500;
-            errorMessage = 'AI service configuration error';
-        } else if (error.message.includes('quota')) {
-            statusCode = 429;
-            errorMessage = 'Service quota exceeded. Please try again later.';
-        } else if (error.message.includes('timeout')) {
-            statusCode = 408;
-            errorMessage = 'Request timeout. Please try again.';
+        sendError(res, error);
+    }
+});
+
+// Streaming recommendation endpoint (Server-Sent Events)
+// Events: role (fit score per role), explanation, plan, role_error, done, error
+app.post('/api/recommend/stream', requireMatchingUid, loadRecommendationRequest, rateLimit('recommend', { skip: isReplay }), async (req, res) => {
+    console.log('Received streaming recommendation request:', { uid: req.user.uid });
+
+    const { uid, profile, provider, requestId, saved } = req.recommendation;
+    const sendEvent = openEventStream(res);
+
+    try {
+        if (saved) {
+            console.log(`Replayed recommendations ${saved.id} for user ${uid}`);
+            sendEvent('done', {
+                recommendationId: saved.id,
+                recommendations: saved.recommendations,
+                generatedAt: saved.generatedAt,
+                replayed: true
+            });
+            return res.end();
         }
-        
-        res.status(statusCode).json({
-            error: errorMessage,
-            message: 'Please try again later'
+
+        const { recommendations, engine } = await generateRecommendations(profile, provider, sendEvent);
+
+        if (recommendations.length === 0) {
+            console.error('Failed to generate recommendations');
+            sendEvent('error', { status: 500, error: 'Failed to generate recommendations' });
+            return res.end();
+        }
+
+        const recommendationId = await saveRecommendationsToFirestore(uid, recommendations, profile, engine, requestId);
+
+        console.log(`Streamed ${recommendations.length} recommendations for user ${uid}`);
+
+        sendEvent('done', {
+            recommendationId: recommendationId,
+            recommendations: recommendations,
+            generatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error in /api/recommend/stream:', error);
+        sendEvent('error', {
+            status: error.status || 500,
+            error: error instanceof ApiError ? error.message : 'Internal server error',
+            retryAfter: error.retryAfter || null
         });
     }
+    res.end();
 });
 
+// Validate a recommendation request and look up the run a retried request
+// already produced. Runs before the rate limit, so invalid requests and
+// replays are not counted against it.
+async function loadRecommendationRequest(req, res, next) {
+    try {
+        const request = prepareRecommendationRequest(req);
+        request.saved = await findSavedRecommendations(request.uid, request.requestId);
+        req.recommendation = request;
+        next();
+    } catch (error) {
+        console.error(`Error in ${req.path}:`, error);
+        sendError(res, error);
+    }
+}
+
+function isReplay(req) {
+    return Boolean(req.recommendation.saved);
+}
+
+// Validate a recommendation request and resolve the profile and metered provider
+function prepareRecommendationRequest(req) {
+    const validation = validateRequest(req.body);
+    if (!validation.isValid) {
+        console.warn('Invalid request:', validation.errors);
+        throw new ApiError(400, 'Invalid request', { details: validation.errors });
+    }
+
+    const provider = createProvider();
+    if (!provider) {
+        console.error('LLM provider not configured');
+        throw new ApiError(500, 'AI service not configured');
+    }
+
+    return {
+        uid: req.user.uid,
+        profile: normalizeProfile(req.body.profile),
+        requestId: req.body.requestId || null,
+        // Cache hits are served before the quota meter, so they are free
+        provider: withPromptCache(meterProvider(provider, req.user.uid))
+    };
+}
+
 // Request validation
 function validateRequest(body) {
     const errors = [];
     
-    if (!body.uid || typeof body.uid !== 'string') {
-        errors.push('uid is required and must be a string');
+    if (body.uid !== undefined && typeof body.uid !== 'string') {
+        errors.push('uid must be a string');
+    }
+    
+    if (body.requestId !== undefined && body.requestId !== null &&
+        (typeof body.requestId !== 'string' || !REQUEST_ID_PATTERN.test(body.requestId))) {
+        errors.push('requestId must be 8-64 letters, digits, dashes or underscores');
     }
     
     if (!body.profile || typeof body.profile !== 'object') {
@@ -154,6 +241,14 @@ function validateRequest(body) {
     
     if (!profile.skills || !Array.isArray(profile.skills) || profile.skills.length === 0) {
         errors.push('skills must be a non-empty array');
+    } else if (profile.skills.some(skill => typeof skill !== 'string' &&
+        !(skill && typeof skill === 'object' && typeof skill.name === 'string'))) {
+        errors.push('skills must be strings or { name, level } objects');
+    }
+    
+    if (profile.softSkills !== undefined && profile.softSkills !== null &&
+        (!Array.isArray(profile.softSkills) || profile.softSkills.some(skill => typeof skill !== 'string'))) {
+        errors.push('softSkills must be an array of strings');
     }
     
     if (!profile.interests || !Array.isArray(profile.interests) || profile.interests.length === 0) {
@@ -164,12 +259,22 @@ function validateRequest(body) {
         errors.push('weeklyTime must be a number between 1 and 40');
     }
     
+    if (profile.planWeeks !== undefined && profile.planWeeks !== null &&
+        (!Number.isInteger(profile.planWeeks) || profile.planWeeks < MIN_PLAN_WEEKS || profile.planWeeks > MAX_PLAN_WEEKS)) {
+        errors.push(`planWeeks must be a whole number between ${MIN_PLAN_WEEKS} and ${MAX_PLAN_WEEKS}`);
+    }
+    
+    if (profile.experienceLevel !== undefined && profile.experienceLevel !== null &&
+        !ROLE_LEVELS.includes(profile.experienceLevel)) {
+        errors.push(`experienceLevel must be one of: ${ROLE_LEVELS.join(', ')}`);
+    }
+    
     if (!profile.budget || !['free', 'low', 'any'].includes(profile.budget)) {
         errors.push('budget must be one of: free, low, any');
     }
     
-    if (!profile.language || !['en', 'hi'].includes(profile.language)) {
-        errors.push('language must be one of: en, hi');
+    if (!isSupportedLanguage(profile.language)) {
+        errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
     }
     
     return {
@@ -179,92 +284,108 @@ function validateRequest(body) {
 }
 
 // Profile normalization
+// Skills become canonical names; proficiency levels (1-5) go to skillLevels.
+// Soft skills are kept apart but also count toward role matching.
 function normalizeProfile(profile) {
+    const skills = [];
+    const skillLevels = {};
+    profile.skills.map(parseSkillEntry).forEach(({ name, level }) => {
+        if (name.length === 0) return;
+        if (!skills.includes(name)) skills.push(name);
+        if (level) skillLevels[name] = level;
+    });
+    
+    const softSkills = [];
+    (profile.softSkills || []).map(canonicalizeSkillName).forEach(name => {
+        if (name.length > 0 && !skills.includes(name) && !softSkills.includes(name)) softSkills.push(name);
+    });
+    
     return {
         name: profile.name.trim(),
         education: profile.education,
-        skills: profile.skills.map(skill => canonicalizeSkillName(skill)).filter(skill => skill.length > 0),
+        skills,
+        skillLevels,
+        softSkills,
         interests: profile.interests.map(interest => interest.trim().toLowerCase()).filter(interest => interest.length > 0),
         weeklyTime: Math.min(Math.max(profile.weeklyTime, 1), 40),
+        // null lets each role derive its own length from weeklyTime and its gap skills
+        planWeeks: Number.isInteger(profile.planWeeks) ? profile.planWeeks : null,
+        experienceLevel: profile.experienceLevel || null,
         budget: profile.budget,
         language: profile.language
     };
 }
 
-// Get Gemini API key from environment or Firebase config
-function getGeminiApiKey() {
-    // Try environment variable first
-    if (process.env.GEMINI_API_KEY) {
-        return process.env.GEMINI_API_KEY;
-    }
-    
-    // Try Firebase Functions config
+// Generate recommendations using the configured LLM provider
+// onEvent(name, data) is called as each part becomes available
+// Resolves to { recommendations, engine } where engine describes what produced them
+async function generateRecommendations(profile, provider, onEvent = () => {}) {
     try {
-        const config = functions.config();
-        if (config.gemini && config.gemini.key) {
-            return config.gemini.key;
-        }
-    } catch (error) {
-        console.warn('Could not access Firebase config:', error.message);
-    }
-    
-    return null;
-}
-
-// Generate recommendations using Gemini AI
-async function generateRecommendations(profile, apiKey) {
-    try {
-        const recommendations = [];
-        
         // Get top 3 role matches based on skills and interests
-        const topRoles = getTopRoleMatches(profile, 3);
+        const catalog = await getRoles();
+        const { roles } = catalog;
+        const topRoles = getTopRoleMatches(profile, roles, 3);
         
+        // Fit scores need no AI calls, so every role is announced first
         const db = admin.firestore();
-        for (const role of topRoles) {
+        const demandScores = await Promise.all(topRoles.map(role => getDemandScore(db, role.roleId)));
+        const drafts = [];
+        topRoles.forEach((role, index) => {
+            const scoreBreakdown = calculateFitBreakdown(getSkillEntries(profile), role.skills, profile.interests, role);
+            const draft = {
+                roleId: role.roleId,
+                title: role.title,
+                fitScore: scoreBreakdown.score,
+                scoreBreakdown,
+                demandScore: demandScores[index],
+                description: role.description || null,
+                level: role.level,
+                salaryInr: role.salaryInr,
+                educationPaths: role.educationPaths || [],
+                overlapSkills: role.overlapSkills || [],
+                gapSkills: role.gapSkills || [],
+                upskillSkills: role.upskillSkills || []
+            };
+            drafts.push({ role, draft });
+            onEvent('role', draft);
+        });
+        
+        // Role pipelines run concurrently; explain and plan stay ordered within a role
+        const results = await mapWithConcurrency(drafts, ROLE_CONCURRENCY, async ({ role, draft }) => {
             try {
                 // Generate explanation for why this role fits
                 const explainPrompt = buildExplainPrompt(profile, role, role.skills);
-                const explanation = await callGeminiAPI(explainPrompt, apiKey);
+                const explanation = await provider.generate(explainPrompt, { task: 'explain' });
+                const why = explanation || `Good match based on your ${profile.skills.join(', ')} skills.`;
+                onEvent('explanation', { roleId: role.roleId, why });
                 
-                // Generate learning plan
-                const planPrompt = buildPlanPrompt(profile, role.gapSkills);
-                const planResponse = await callGeminiAPI(planPrompt, apiKey);
+                // Generate a schema-validated learning plan covering gaps and skills to level up
+                const planSkills = [...role.gapSkills, ...role.upskillSkills.map(skill => skill.name)];
+                const planWeeks = profile.planWeeks || suggestPlanWeeks(profile.weeklyTime, planSkills.length);
+                const { plan: learningPlan, source: planSource } = await generateLearningPlan(provider, profile, planSkills, planWeeks);
+                onEvent('plan', { roleId: role.roleId, plan: learningPlan, planSource });
                 
-                // Parse learning plan
-                const learningPlan = parseLearningPlan(planResponse);
-                
-                // Calculate fit score
-                const fitScore = calculateEnhancedFitScore(profile.skills, role.skills, profile.interests, role);
-
-                // Attach demand score if available
-                let demandScore = null;
-                try {
-                    const trendDoc = await db.collection('trends').doc(`role_${role.roleId}`).get();
-                    if (trendDoc.exists && trendDoc.data() && typeof trendDoc.data().demandScore === 'number') {
-                        demandScore = Math.round(trendDoc.data().demandScore);
-                    }
-                } catch (_) {}
-                
-                const recommendation = {
-                    roleId: role.roleId,
-                    title: role.title,
-                    fitScore: Math.round(fitScore),
-                    demandScore: demandScore,
-                    why: explanation || `Good match based on your ${profile.skills.join(', ')} skills.`,
-                    overlapSkills: role.overlapSkills || [],
-                    gapSkills: role.gapSkills || [],
-                    plan: learningPlan
+                return {
+                    ...draft,
+                    why: why,
+                    plan: learningPlan,
+                    planSource: planSource
                 };
                 
-                recommendations.push(recommendation);
-                
             } catch (error) {
+                // Quota errors apply to every remaining role, so stop here
+                if (error.status === 429) throw error;
                 console.error(`Error generating recommendation for ${role.title}:`, error);
+                onEvent('role_error', { roleId: role.roleId });
                 // Continue with other roles
+                return null;
             }
-        }
+        });
         
-        return recommendations;
+        return {
+            recommendations: results.filter(Boolean),
+            engine: describeEngine(provider, catalog)
+        };
         
     } catch (error) {
         console.error('Error in generateRecommendations:', error);
@@ -272,32 +393,54 @@ async function generateRecommendations(profile, apiKey) {
     }
 }
 
+// Read the precomputed demand score for a role, if any
+async function getDemandScore(db, roleId) {
+    try {
+        const trendDoc = await db.collection('trends').doc(`role_${roleId}`).get();
+        if (trendDoc.exists && trendDoc.data() && typeof trendDoc.data().demandScore === 'number') {
+            return Math.round(trendDoc.data().demandScore);
+        }
+    } catch (_) {}
+    return null;
+}
+
+// Profile skills and soft skills as { name, level } entries for scoring
+function getSkillEntries(profile) {
+    const levels = profile.skillLevels || {};
+    return [...profile.skills, ...(profile.softSkills || [])].map(name => ({ name, level: levels[name] || null }));
+}
+
 // Get top role matches based on skills and interests
-function getTopRoleMatches(profile, count = 3) {
+function getTopRoleMatches(profile, roles, count = 3) {
     const roleScores = [];
     
-    for (const role of Object.values(roles)) {
+    for (const catalogRole of Object.values(roles)) {
+        // Score against the skills expected at the user's level
+        const role = resolveRoleLevel(catalogRole, profile.experienceLevel);
         const normalizedRoleSkills = role.skills.map(s => canonicalizeSkillName(s.name));
-        const normalizedProfileSkills = profile.skills.map(s => canonicalizeSkillName(s));
+        const normalizedProfileSkills = [...profile.skills, ...(profile.softSkills || [])].map(s => canonicalizeSkillName(s));
+        const skillEntries = getSkillEntries(profile);
         
         // Calculate overlap skills
         const overlapSkills = normalizedProfileSkills.filter(skill => 
             normalizedRoleSkills.includes(skill)
         );
         
-        // Calculate gap skills
-        const gapSkills = normalizedRoleSkills.filter(skill => 
-            !normalizedProfileSkills.includes(skill)
+        // Calculate gap skills, most learnable from the user's skills first
+        const gapSkills = orderByLearnability(
+            normalizedRoleSkills.filter(skill => !normalizedProfileSkills.includes(skill)),
+            normalizeSkills(skillEntries)
         );
         
         // Enhanced score combining skills, overlap, and interest
-        const score = calculateEnhancedFitScore(profile.skills, role.skills, profile.interests, role);
+        const score = calculateEnhancedFitScore(skillEntries, role.skills, profile.interests, role);
         
         roleScores.push({
             ...role,
             score,
             overlapSkills,
-            gapSkills
+            gapSkills,
+            upskillSkills: calculateUpskillSkills(skillEntries, role.skills)
         });
     }
     
@@ -307,216 +450,153 @@ function getTopRoleMatches(profile, count = 3) {
         .slice(0, count);
 }
 
-// Call Gemini API
-async function callGeminiAPI(prompt, apiKey) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
-    
-    const requestBody = {
-        contents: [{
-            parts: [{
-                text: prompt
-            }]
-        }],
-        generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 2048,
-        },
-        safetySettings: [
-            {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-        ]
-    };
-    
-    const maxRetries = 3;
-    const timeoutMs = 20000;
-    let lastError;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await fetchWithTimeout(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            }, timeoutMs);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Gemini API error:', response.status, errorText);
-                if (response.status === 400) throw new Error('Invalid request to AI service');
-                if (response.status === 429) throw new Error('AI service quota exceeded');
-                if (response.status === 500) throw new Error('AI service internal error');
-                throw new Error(`AI service error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                throw new Error('Invalid response from AI service');
-            }
-            return data.candidates[0].content.parts[0].text;
-        } catch (err) {
-            lastError = err;
-            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 8000);
-            if (attempt < maxRetries) await new Promise(r => setTimeout(r, delay));
+// Admin role catalog endpoints (require the `admin` custom claim)
+app.get('/api/admin/roles', requireAdmin, async (req, res) => {
+    try {
+        const catalog = await getRoles();
+        res.status(200).json({
+            version: catalog.version,
+            source: catalog.source,
+            roles: Object.values(catalog.roles)
+        });
+    } catch (error) {
+        console.error('Error in GET /api/admin/roles:', error);
+        sendError(res, error);
+    }
+});
+
+app.get('/api/admin/roles/:roleId', requireAdmin, async (req, res) => {
+    try {
+        const { roles, version } = await getRoles();
+        const role = roles[req.params.roleId];
+        if (!role) {
+            throw new ApiError(404, 'Role not found');
         }
+        res.status(200).json({ version, role });
+    } catch (error) {
+        console.error('Error in GET /api/admin/roles/:roleId:', error);
+        sendError(res, error);
     }
-    throw lastError || new Error('AI request failed');
-}
+});
 
-function fetchWithTimeout(resource, options = {}, timeout = 20000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    return fetch(resource, { ...options, signal: controller.signal })
-        .finally(() => clearTimeout(id));
-}
+app.post('/api/admin/roles', requireAdmin, async (req, res) => {
+    try {
+        const role = validateRole(req.body, req.body && req.body.roleId);
+        const version = await writeRole('create', role.roleId, role, req.user.uid);
+        console.log(`Role ${role.roleId} created by ${req.user.uid} (catalog version ${version})`);
+        res.status(201).json({ version, role });
+    } catch (error) {
+        console.error('Error in POST /api/admin/roles:', error);
+        sendError(res, error);
+    }
+});
 
-// Parse learning plan from AI response
-function parseLearningPlan(aiResponse) {
+app.put('/api/admin/roles/:roleId', requireAdmin, async (req, res) => {
     try {
-        // Try to extract JSON from the response
-        let jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
-        if (!jsonMatch) {
-            jsonMatch = aiResponse.match(/```\s*([\s\S]*?)\s*```/);
-        }
-        
-        let jsonString = jsonMatch ? jsonMatch[1] : aiResponse;
-        if (!jsonMatch) {
-            const first = aiResponse.indexOf('{');
-            const last = aiResponse.lastIndexOf('}');
-            if (first !== -1 && last !== -1 && last > first) {
-                jsonString = aiResponse.substring(first, last + 1);
-            }
-        }
-        
-        // Clean up the JSON string
-        jsonString = jsonString.trim();
-        
-        // Try to parse the JSON
-        const plan = JSON.parse(jsonString);
-        
-        // Validate the plan structure
-        if (!plan.weeks || !Array.isArray(plan.weeks)) {
-            throw new Error('Invalid plan structure: missing weeks array');
+        const role = validateRole(req.body, req.params.roleId);
+        const version = await writeRole('update', role.roleId, role, req.user.uid);
+        console.log(`Role ${role.roleId} updated by ${req.user.uid} (catalog version ${version})`);
+        res.status(200).json({ version, role });
+    } catch (error) {
+        console.error('Error in PUT /api/admin/roles/:roleId:', error);
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/admin/roles/:roleId', requireAdmin, async (req, res) => {
+    try {
+        const version = await writeRole('delete', req.params.roleId, null, req.user.uid);
+        console.log(`Role ${req.params.roleId} deleted by ${req.user.uid} (catalog version ${version})`);
+        res.status(200).json({ version, roleId: req.params.roleId });
+    } catch (error) {
+        console.error('Error in DELETE /api/admin/roles/:roleId:', error);
+        sendError(res, error);
+    }
+});
+
+// Skill autocomplete: canonical name and suggestions for a partly typed skill
+app.get('/api/skills/suggest', (req, res) => {
+    try {
+        const { q, limit } = req.query || {};
+        if (typeof q !== 'string' || !q.trim() || q.length > 50) {
+            throw new ApiError(400, 'q must be 1-50 characters');
         }
-        
-        // Ensure we have 4 weeks by padding or truncating
-        if (plan.weeks.length < 4) {
-            while (plan.weeks.length < 4) {
-                plan.weeks.push({ week: plan.weeks.length + 1 });
-            }
-        } else if (plan.weeks.length > 4) {
-            plan.weeks = plan.weeks.slice(0, 4);
+        const max = limit === undefined ? 8 : Number(limit);
+        if (!Number.isInteger(max) || max < 1 || max > 20) {
+            throw new ApiError(400, 'limit must be an integer between 1 and 20');
         }
-        
-        // Validate each week
-        plan.weeks.forEach((week, index) => {
-            if (!week.week || week.week !== index + 1) {
-                week.week = index + 1;
-            }
-            
-            if (!week.topics || !Array.isArray(week.topics)) {
-                week.topics = ['Topics to be determined'];
-            }
-            
-            if (!week.practice || !Array.isArray(week.practice)) {
-                week.practice = ['Practice activities to be determined'];
-            }
-            
-            if (!week.assessment) {
-                week.assessment = 'Assessment to be determined';
-            }
-            
-            if (!week.project) {
-                week.project = 'Project to be determined';
-            }
-        });
-        
-        return plan;
-        
+        res.status(200).json({ query: q, ...suggestSkills(q, max) });
     } catch (error) {
-        console.error('Error parsing learning plan:', error);
-        
-        // Return a fallback plan
-        return {
-            weeks: [
-                {
-                    week: 1,
-                    topics: ['Basic concepts and fundamentals'],
-                    practice: ['Hands-on exercises and tutorials'],
-                    assessment: 'Knowledge check quiz',
-                    project: 'Simple introductory project'
-                },
-                {
-                    week: 2,
-                    topics: ['Intermediate concepts and techniques'],
-                    practice: ['Practical exercises and case studies'],
-                    assessment: 'Skills assessment',
-                    project: 'Intermediate level project'
-                },
-                {
-                    week: 3,
-                    topics: ['Advanced concepts and best practices'],
-                    practice: ['Complex exercises and real-world scenarios'],
-                    assessment: 'Advanced skills test',
-                    project: 'Advanced level project'
-                },
-                {
-                    week: 4,
-                    topics: ['Integration and real-world application'],
-                    practice: ['Final project preparation'],
-                    assessment: 'Final project review',
-                    project: 'Capstone project'
-                }
-            ]
-        };
+        console.error('Error in GET /api/skills/suggest:', error);
+        sendError(res, error);
     }
-}
+});
 
 // Extract skills endpoint
-app.post('/api/extract_skills', async (req, res) => {
+app.post('/api/extract_skills', loadExtractText, rateLimit('extractSkills'), async (req, res) => {
     try {
-        const { text, language = 'en' } = req.body || {};
-        if (!text || typeof text !== 'string' || text.trim().length < 10) {
-            return res.status(400).json({ error: 'Invalid text input' });
-        }
-        const redacted = redactPII(text);
-        const apiKey = getGeminiApiKey();
-        if (!apiKey) return res.status(500).json({ error: 'AI service not configured' });
-        const prompt = buildExtractSkillsPrompt(redacted, language);
-        const response = await callGeminiAPI(prompt, apiKey);
-        const payload = safeParseJSON(response);
-        if (!payload) return res.status(500).json({ error: 'Failed to parse AI response' });
-        const canon = (arr = []) => arr.map(s => ({
-            name: canonicalizeSkillName(s.name || ''),
-            confidence: typeof s.confidence === 'number' ? s.confidence : 0,
-            evidence: s.evidence || ''
-        })).filter(s => s.name);
-        return res.status(200).json({
-            hardSkills: canon(payload.hardSkills),
-            softSkills: canon(payload.softSkills)
-        });
+        const { text, language } = req.extraction;
+        return res.status(200).json(await extractSkills(text, language, req.user.uid));
     } catch (e) {
         console.error('extract_skills error', e);
-        return res.status(500).json({ error: 'Internal server error' });
+        return sendError(res, e);
     }
 });
 
+// Extract skills from a resume uploaded to Storage under resumes/{uid}/
+app.post('/api/resume/extract', loadResumeText, rateLimit('extractSkills'), async (req, res) => {
+    try {
+        const { text, language } = req.extraction;
+        return res.status(200).json(await extractSkills(text, language, req.user.uid));
+    } catch (e) {
+        console.error('resume extract error', e);
+        return sendError(res, e);
+    }
+});
+
+// Validate the text to extract skills from. Like loadRecommendationRequest,
+// these run before the rate limit so rejected input is not counted.
+function loadExtractText(req, res, next) {
+    const { text, language = 'en' } = req.body || {};
+    if (!text || typeof text !== 'string' || text.trim().length < 10) {
+        return res.status(400).json({ error: 'Invalid text input' });
+    }
+    req.extraction = { text, language };
+    return next();
+}
+
+// Read the uploaded resume's text; a missing, foreign or unreadable upload is rejected
+async function loadResumeText(req, res, next) {
+    try {
+        const { path, language = 'en' } = req.body || {};
+        req.extraction = { text: await readUploadedResume(req.user.uid, path), language };
+        return next();
+    } catch (e) {
+        console.error('resume extract error', e);
+        return sendError(res, e);
+    }
+}
+
+// Hard and soft skills found in free text, with confidence and evidence
+async function extractSkills(text, language, uid) {
+    const redacted = redactPII(text);
+    const provider = createProvider();
+    if (!provider) throw new ApiError(500, 'AI service not configured');
+    const prompt = buildExtractSkillsPrompt(redacted, language);
+    const response = await meterProvider(provider, uid).generate(prompt, { task: 'extract_skills' });
+    const payload = safeParseJSON(response);
+    if (!payload) throw new ApiError(500, 'Failed to parse AI response');
+    const canon = (arr = []) => arr.map(s => ({
+        name: canonicalizeSkillName(s.name || ''),
+        confidence: typeof s.confidence === 'number' ? s.confidence : 0,
+        evidence: s.evidence || ''
+    })).filter(s => s.name);
+    return {
+        hardSkills: canon(payload.hardSkills),
+        softSkills: canon(payload.softSkills)
+    };
+}
+
 function redactPII(input) {
     return input
         .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[redacted-email]')
@@ -559,22 +639,52 @@ function computeDemandScore(d) {
     } catch (_) { return null; }
 }
 
-// Save recommendations to Firestore
-async function saveRecommendationsToFirestore(uid, recommendations) {
+// Look up the run already saved under a client request id, if any
+async function findSavedRecommendations(uid, requestId) {
+    if (!requestId) return null;
+    try {
+        const snap = await admin.firestore().collection('users').doc(uid)
+            .collection('recommendations').doc(requestId).get();
+        if (!snap.exists) return null;
+
+        const data = snap.data();
+        const createdAt = data.createdAt && typeof data.createdAt.toDate === 'function'
+            ? data.createdAt.toDate()
+            : new Date();
+        return { id: snap.id, recommendations: data.recommendations, generatedAt: createdAt.toISOString() };
+    } catch (error) {
+        console.error('Error reading saved recommendations:', error);
+        return null;
+    }
+}
+
+// Save recommendations to Firestore, with the normalized profile and engine
+// they were generated from so runs can be compared, reproduced and audited.
+// The server is the only writer; the document id is the client request id
+// when one was sent, so a retried request overwrites instead of duplicating.
+// Resolves to the document id, or null if the write failed.
+async function saveRecommendationsToFirestore(uid, recommendations, profile, engine, requestId = null) {
     try {
         const db = admin.firestore();
+        const collection = db.collection('users').doc(uid).collection('recommendations');
+        const docRef = requestId ? collection.doc(requestId) : collection.doc();
         
-        await db.collection('users').doc(uid).collection('recommendations').add({
+        await docRef.set({
             recommendations: recommendations,
+            profile: profile,
+            engine: engine,
+            requestId: requestId,
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             userId: uid
         });
         
-        console.log(`Saved recommendations to Firestore for user ${uid}`);
+        console.log(`Saved recommendations ${docRef.id} to Firestore for user ${uid}`);
+        return docRef.id;
         
     } catch (error) {
         console.error('Error saving to Firestore:', error);
-        // Don't throw error here as the main response is already sent
+        // The recommendations are still returned to the client
+        return null;
     }
 }
 
@@ -0,0 +1,325 @@
+// LLM provider layer for GenSpark Career Advisor
+//
+// Every provider exposes the same shape:
+//   { name, model, generate(prompt, options) } -> Promise<string>
+// `options.task` ('explain' | 'plan' | 'extract_skills') lets providers that
+// do not call a real model (the offline stub) shape their output, and
+// `options.json` asks providers that support it for a JSON-only response.
+const functions = require('firebase-functions');
+const { roles } = require('./roles.json');
+const { ApiError } = require('./errors');
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash-latest',
+    openai: 'gpt-4o-mini',
+    ollama: 'llama3.1',
+    stub: 'stub-v1'
+};
+
+const DEFAULT_BASE_URLS = {
+    gemini: 'https://generativelanguage.googleapis.com/v1beta',
+    openai: 'https://api.openai.com/v1',
+    ollama: 'http://localhost:11434'
+};
+
+const GEMINI_SAFETY_SETTINGS = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+/**
+ * Resolve provider configuration from environment variables and Firebase config
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Provider configuration
+ */
+function getLLMConfig(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+
+    let apiKey = env.LLM_API_KEY || null;
+    if (!apiKey && provider === 'gemini') {
+        apiKey = env.GEMINI_API_KEY || getFirebaseConfigValue('gemini', 'key');
+    }
+    if (!apiKey && provider === 'openai') {
+        apiKey = env.OPENAI_API_KEY || null;
+    }
+
+    return {
+        provider,
+        apiKey,
+        model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+        baseUrl: (env.LLM_BASE_URL || DEFAULT_BASE_URLS[provider] || '').replace(/\/+$/, ''),
+        timeoutMs: Number(env.LLM_TIMEOUT_MS) || 20000,
+        maxRetries: Number(env.LLM_MAX_RETRIES) || 3
+    };
+}
+
+function getFirebaseConfigValue(section, key) {
+    try {
+        const config = functions.config();
+        if (config[section] && config[section][key]) {
+            return config[section][key];
+        }
+    } catch (error) {
+        console.warn('Could not access Firebase config:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Create an LLM provider from configuration
+ * @param {Object} config - Configuration from getLLMConfig
+ * @returns {Object|null} - Provider, or null when it is not usable (e.g. missing API key)
+ */
+function createProvider(config = getLLMConfig()) {
+    switch (config.provider) {
+        case 'gemini':
+            return config.apiKey ? createGeminiProvider(config) : null;
+        case 'openai':
+            return config.apiKey ? createOpenAIProvider(config) : null;
+        case 'ollama':
+            return createOllamaProvider(config);
+        case 'stub':
+            return createStubProvider(config);
+        default:
+            console.error(`Unknown LLM provider: ${config.provider}`);
+            return null;
+    }
+}
+
+// Google Gemini (generateContent API)
+function createGeminiProvider(config) {
+    const model = config.model || DEFAULT_MODELS.gemini;
+    return {
+        name: 'gemini',
+        model,
+        async generate(prompt, options = {}) {
+            const url = `${config.baseUrl}/models/${model}:generateContent?key=${config.apiKey}`;
+            const data = await postJSON(url, {
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig: {
+                    temperature: options.temperature ?? 0.7,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens: options.maxOutputTokens || 2048,
+                    ...(options.json ? { responseMimeType: 'application/json' } : {})
+                },
+                safetySettings: GEMINI_SAFETY_SETTINGS
+            }, {}, config);
+
+            if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+                throw new ApiError(502, 'Invalid response from AI service');
+            }
+            return data.candidates[0].content.parts[0].text;
+        }
+    };
+}
+
+// Any OpenAI-compatible chat completions endpoint
+function createOpenAIProvider(config) {
+    const model = config.model || DEFAULT_MODELS.openai;
+    return {
+        name: 'openai',
+        model,
+        async generate(prompt, options = {}) {
+            const data = await postJSON(`${config.baseUrl}/chat/completions`, {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature ?? 0.7,
+                max_tokens: options.maxOutputTokens || 2048,
+                ...(options.json ? { response_format: { type: 'json_object' } } : {})
+            }, { Authorization: `Bearer ${config.apiKey}` }, config);
+
+            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+                throw new ApiError(502, 'Invalid response from AI service');
+            }
+            return data.choices[0].message.content;
+        }
+    };
+}
+
+// Local Ollama-style HTTP server (/api/generate)
+function createOllamaProvider(config) {
+    const model = config.model || DEFAULT_MODELS.ollama;
+    return {
+        name: 'ollama',
+        model,
+        async generate(prompt, options = {}) {
+            const data = await postJSON(`${config.baseUrl}/api/generate`, {
+                model,
+                prompt,
+                stream: false,
+                ...(options.json ? { format: 'json' } : {}),
+                options: {
+                    temperature: options.temperature ?? 0.7,
+                    num_predict: options.maxOutputTokens || 2048
+                }
+            }, {}, config);
+
+            if (typeof data.response !== 'string') {
+                throw new ApiError(502, 'Invalid response from AI service');
+            }
+            return data.response;
+        }
+    };
+}
+
+// Deterministic offline provider for the emulator and tests
+function createStubProvider(config = {}) {
+    return {
+        name: 'stub',
+        model: config.model || DEFAULT_MODELS.stub,
+        async generate(prompt, options = {}) {
+            switch (options.task) {
+                case 'explain':
+                    return stubExplanation(prompt);
+                case 'plan':
+                    return JSON.stringify(stubPlan(prompt));
+                case 'extract_skills':
+                    return JSON.stringify(stubExtractSkills(prompt));
+                default:
+                    return 'Stub response';
+            }
+        }
+    };
+}
+
+function readPromptField(prompt, label) {
+    const match = prompt.match(new RegExp(`^- ${label}: (.*)$`, 'm'));
+    return match ? match[1].trim() : '';
+}
+
+function splitList(value) {
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function stubExplanation(prompt) {
+    const roleMatch = prompt.match(/^Job Role: (.*)$/m);
+    const role = roleMatch ? roleMatch[1].trim() : 'this role';
+    const skills = splitList(readPromptField(prompt, 'Current Skills')).slice(0, 3);
+    const mapping = skills.map(skill => `- ${skill} → day-to-day ${role} work`).join('\n');
+    return `${role} builds directly on what you already know.\n${mapping}`;
+}
+
+// Catalog lines from buildPlanPrompt: "- id: ... | title: ... | skill: ... | cost: ... | url: ..."
+function readCatalogResources(prompt) {
+    const resources = [];
+    const pattern = /^- id: (.+?) \| title: (.+?) \| skill: (.+?) \|.*\| cost: (\w+) \|.*\| url: (\S+)$/gm;
+    let match;
+    while ((match = pattern.exec(prompt)) !== null) {
+        resources.push({ id: match[1], title: match[2], skill: match[3], type: match[4], url: match[5] });
+    }
+    return resources;
+}
+
+function stubPlan(prompt) {
+    const gapSkills = splitList(readPromptField(prompt, 'Skills to Learn'));
+    const catalog = readCatalogResources(prompt);
+    const weeklyTime = parseInt(readPromptField(prompt, 'Weekly Study Time'), 10) || 8;
+    const skills = gapSkills.length > 0 ? gapSkills : ['core fundamentals'];
+    const weekCount = parseInt(readPromptField(prompt, 'Plan Length'), 10) || 4;
+
+    const weeks = [];
+    for (let i = 0; i < weekCount; i++) {
+        const topics = [skills[i % skills.length], skills[(i + 1) % skills.length]]
+            .filter((skill, index, arr) => arr.indexOf(skill) === index);
+        const perTopic = Math.max(1, Math.floor(weeklyTime / topics.length));
+        weeks.push({
+            week: i + 1,
+            topics: topics.map(skill => `${skill} essentials`),
+            timePerTopicHours: topics.map(() => perTopic),
+            practice: topics.map(skill => `Guided exercises on ${skill}`),
+            assessment: `Week ${i + 1} self-check quiz`,
+            project: `Portfolio project milestone ${i + 1}`,
+            resources: catalog
+                .filter(resource => resource.skill === topics[0].toLowerCase())
+                .map(({ skill, ...resource }) => resource)
+        });
+    }
+
+    return { prerequisites: [], weeks };
+}
+
+const STUB_SOFT_SKILLS = ['communication', 'teamwork', 'leadership', 'problem solving', 'time management'];
+
+function stubExtractSkills(prompt) {
+    const textMatch = prompt.match(/"""\s*([\s\S]*?)\s*"""/);
+    const text = (textMatch ? textMatch[1] : '').toLowerCase();
+    const known = new Set();
+    Object.values(roles).forEach(role => role.skills.forEach(skill => known.add(skill.name)));
+
+    const find = (names, confidence) => names
+        .filter(name => new RegExp(`(^|[^a-z])${name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}([^a-z]|$)`).test(text))
+        .map(name => ({ name, confidence, evidence: name }));
+
+    return {
+        hardSkills: find(Array.from(known).sort(), 0.8),
+        softSkills: find(STUB_SOFT_SKILLS, 0.6)
+    };
+}
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Map an upstream AI service response onto the status we return to clients
+function toApiError(response) {
+    const status = response.status;
+    if (status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+        return new ApiError(429, 'AI service quota exceeded', { retryAfter });
+    }
+    if (status === 401 || status === 403) {
+        return new ApiError(500, 'AI service configuration error');
+    }
+    if (status >= 500) {
+        return new ApiError(503, 'AI service unavailable');
+    }
+    return new ApiError(502, `AI service error: ${status}`);
+}
+
+// POST a JSON body with timeout and exponential-backoff retries
+async function postJSON(url, body, headers, { timeoutMs = 20000, maxRetries = 3 } = {}) {
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            const response = await fetchWithTimeout(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers
+                },
+                body: JSON.stringify(body)
+            }, timeoutMs);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('AI service error:', response.status, errorText);
+                throw toApiError(response);
+            }
+
+            return await response.json();
+        } catch (err) {
+            lastError = err.name === 'AbortError' ? new ApiError(504, 'AI service timeout') : err;
+            if (lastError.status && !RETRYABLE_STATUSES.includes(lastError.status)) break;
+            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 8000);
+            if (attempt < maxRetries) await new Promise(r => setTimeout(r, delay));
+        }
+    }
+    throw lastError || new Error('AI request failed');
+}
+
+function fetchWithTimeout(resource, options = {}, timeout = 20000) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+    return fetch(resource, { ...options, signal: controller.signal })
+        .finally(() => clearTimeout(id));
+}
+
+module.exports = {
+    getLLMConfig,
+    createProvider,
+    createGeminiProvider,
+    createOpenAIProvider,
+    createOllamaProvider,
+    createStubProvider
+};
@@ -0,0 +1,401 @@
+// Learning plan generation, validation and fallbacks
+const { buildPlanPrompt, buildPlanRepairPrompt } = require('./prompts');
+const { BUDGET_RESOURCE_TYPES, getResourcesForSkills, groundPlanResources } = require('./resources');
+const { getFallbackPlanText } = require('./i18n');
+
+const MIN_PLAN_WEEKS = 2;
+const MAX_PLAN_WEEKS = 16;
+const DEFAULT_PLAN_WEEKS = 4;
+
+// Rough study hours needed to get job-ready in one gap skill
+const HOURS_PER_GAP_SKILL = 8;
+
+// Topic hours are kept in half-hour steps
+const MIN_TOPIC_HOURS = 0.5;
+
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+
+/**
+ * Suggest a plan length from weekly study time and the number of gap skills
+ * @param {number} weeklyTime - Study hours per week
+ * @param {number} gapSkillCount - Number of skills to learn
+ * @returns {number} - Weeks, between MIN_PLAN_WEEKS and MAX_PLAN_WEEKS
+ */
+function suggestPlanWeeks(weeklyTime, gapSkillCount) {
+    const hours = Math.max(1, gapSkillCount) * HOURS_PER_GAP_SKILL;
+    const weeks = Math.ceil(hours / Math.max(1, weeklyTime || 1));
+    return Math.min(MAX_PLAN_WEEKS, Math.max(MIN_PLAN_WEEKS, weeks));
+}
+
+/**
+ * JSON schema for the plan described in buildPlanPrompt
+ * @param {number} weekCount - Exact number of weeks the plan must have
+ * @returns {Object} - JSON schema
+ */
+function createPlanSchema(weekCount = DEFAULT_PLAN_WEEKS) {
+    return {
+        type: 'object',
+        required: ['weeks'],
+        properties: {
+            prerequisites: { type: 'array', items: NON_EMPTY_STRING },
+            weeks: {
+                type: 'array',
+                minItems: weekCount,
+                maxItems: weekCount,
+                items: {
+                    type: 'object',
+                    required: ['week', 'topics', 'practice', 'assessment', 'project'],
+                    properties: {
+                        week: { type: 'integer', minimum: 1 },
+                        topics: { type: 'array', minItems: 1, items: NON_EMPTY_STRING },
+                        timePerTopicHours: { type: 'array', items: { type: 'number', minimum: 0 } },
+                        practice: { type: 'array', minItems: 1, items: NON_EMPTY_STRING },
+                        assessment: NON_EMPTY_STRING,
+                        project: NON_EMPTY_STRING,
+                        resources: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['title', 'type'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    title: NON_EMPTY_STRING,
+                                    type: { type: 'string', enum: ['free', 'low', 'paid'] },
+                                    url: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by createPlanSchema
+ * (type, required, properties, items, minItems, maxItems, minLength, minimum, enum)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validateSchema(value, schema, path = 'plan') {
+    const errors = [];
+
+    if (!matchesType(value, schema.type)) {
+        errors.push(`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        default: return true;
+    }
+}
+
+/**
+ * Pull a JSON object out of an AI response (fenced block or first {...} span)
+ * @param {string} aiResponse - Raw model output
+ * @returns {Object|null} - Parsed object, or null when no valid JSON is found
+ */
+function extractJSON(aiResponse) {
+    if (typeof aiResponse !== 'string') return null;
+
+    let jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
+    if (!jsonMatch) {
+        jsonMatch = aiResponse.match(/```\s*([\s\S]*?)\s*```/);
+    }
+
+    let jsonString = jsonMatch ? jsonMatch[1] : aiResponse;
+    if (!jsonMatch) {
+        const first = aiResponse.indexOf('{');
+        const last = aiResponse.lastIndexOf('}');
+        if (first !== -1 && last !== -1 && last > first) {
+            jsonString = aiResponse.substring(first, last + 1);
+        }
+    }
+
+    try {
+        return JSON.parse(jsonString.trim());
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Parse and validate a learning plan from an AI response
+ * Week numbers are renumbered; nothing else is filled in.
+ * @param {string} aiResponse - Raw model output
+ * @param {number} weekCount - Expected number of weeks
+ * @returns {Object} - { plan, errors }; plan is null when the response is not usable
+ */
+function parseLearningPlan(aiResponse, weekCount = DEFAULT_PLAN_WEEKS) {
+    const plan = extractJSON(aiResponse);
+    if (!plan) {
+        return { plan: null, errors: ['response is not valid JSON'] };
+    }
+
+    if (Array.isArray(plan.weeks)) {
+        plan.weeks.forEach((week, index) => {
+            if (week && typeof week === 'object') week.week = index + 1;
+        });
+    }
+
+    const errors = validateSchema(plan, createPlanSchema(weekCount));
+    return errors.length === 0 ? { plan, errors } : { plan: null, errors };
+}
+
+/**
+ * Generic plan used when the AI plan cannot be validated or repaired
+ * The plan moves through the phases in i18n.json; the last week is always
+ * the integration phase.
+ * @param {number} weekCount - Number of weeks
+ * @param {string} language - Language code for the plan text
+ * @returns {Object} - Learning plan
+ */
+function createFallbackPlan(weekCount = DEFAULT_PLAN_WEEKS, language = 'en') {
+    const { phases, continued: formatContinued } = getFallbackPlanText(language);
+    const lastPhase = phases.length - 1;
+    const weeks = [];
+
+    for (let i = 0; i < weekCount; i++) {
+        const phaseIndex = i === weekCount - 1 ? lastPhase : Math.floor(i * lastPhase / (weekCount - 1));
+        const phase = phases[phaseIndex];
+        const continued = weeks.length > 0 && weeks[weeks.length - 1].phaseIndex === phaseIndex;
+        weeks.push({
+            phaseIndex,
+            week: i + 1,
+            topics: phase.topics.map(topic => continued ? formatContinued(topic) : topic),
+            practice: [...phase.practice],
+            assessment: phase.assessment,
+            project: phase.project
+        });
+    }
+
+    return {
+        prerequisites: [],
+        weeks: weeks.map(({ phaseIndex, ...week }) => week)
+    };
+}
+
+/**
+ * Normalize a resource URL, keeping only absolute http(s) links
+ * @param {string} url - URL from the model
+ * @returns {string|null} - Normalized URL, or null when malformed
+ */
+function sanitizeResourceUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+
+    try {
+        const parsed = new URL(url.trim());
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Clean up prerequisites and per-week resources of a plan
+ * Prerequisites are trimmed and de-duplicated. Resources outside the user's
+ * budget are dropped; malformed URLs are removed but the resource is kept.
+ * Run it after groundPlanResources so the budget check uses the catalog cost.
+ * @param {Object} plan - Schema-valid learning plan (modified in place)
+ * @param {string} budget - Profile budget (free, low or any)
+ * @returns {Object} - The same plan
+ */
+function sanitizePlanResources(plan, budget) {
+    const allowedTypes = BUDGET_RESOURCE_TYPES[budget] || BUDGET_RESOURCE_TYPES.free;
+
+    const seenPrerequisites = new Set();
+    plan.prerequisites = (plan.prerequisites || [])
+        .map(item => item.trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (seenPrerequisites.has(key)) return false;
+            seenPrerequisites.add(key);
+            return true;
+        });
+
+    plan.weeks.forEach(week => {
+        const seenResources = new Set();
+        week.resources = (week.resources || [])
+            .filter(resource => allowedTypes.includes(resource.type))
+            .map(resource => {
+                const { url: rawUrl, ...cleaned } = resource;
+                cleaned.title = resource.title.trim();
+                const url = sanitizeResourceUrl(rawUrl);
+                if (url) cleaned.url = url;
+                return cleaned;
+            })
+            .filter(resource => {
+                const key = resource.id || resource.url || resource.title.toLowerCase();
+                if (seenResources.has(key)) return false;
+                seenResources.add(key);
+                return true;
+            });
+    });
+
+    return plan;
+}
+
+function roundHalfHours(hours) {
+    return Math.max(MIN_TOPIC_HOURS, Math.round(hours * 2) / 2);
+}
+
+function sumHours(hours) {
+    return hours.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Make each week of a plan fit the user's weekly study time
+ * Missing or invalid timePerTopicHours entries share whatever budget the week
+ * has left. Weeks over budget are scaled down; a week that still cannot fit
+ * (too many topics for the half-hour minimum) is flagged with overBudget.
+ * @param {Object} plan - Schema-valid learning plan (modified in place)
+ * @param {number} weeklyTime - Study hours per week
+ * @returns {Object} - The same plan, with week.totalHours, week.overBudget and plan.weeklyBudgetHours set
+ */
+function enforceWeeklyBudget(plan, weeklyTime) {
+    const budget = Number(weeklyTime) > 0 ? Number(weeklyTime) : null;
+    if (!budget || !Array.isArray(plan.weeks)) return plan;
+
+    plan.weeks.forEach(week => {
+        const given = Array.isArray(week.timePerTopicHours) ? week.timePerTopicHours : [];
+        const hours = week.topics.map((_, index) => {
+            const value = given[index];
+            return typeof value === 'number' && Number.isFinite(value) && value > 0 ? roundHalfHours(value) : null;
+        });
+
+        const missing = hours.filter(value => value === null).length;
+        if (missing > 0) {
+            const remaining = Math.max(0, budget - sumHours(hours.filter(value => value !== null)));
+            const share = roundHalfHours(Math.floor(remaining / missing * 2) / 2);
+            hours.forEach((value, index) => {
+                if (value === null) hours[index] = share;
+            });
+        }
+
+        let total = sumHours(hours);
+        if (total > budget) {
+            const scale = budget / total;
+            hours.forEach((value, index) => {
+                hours[index] = Math.max(MIN_TOPIC_HOURS, Math.floor(value * scale * 2) / 2);
+            });
+            total = sumHours(hours);
+        }
+
+        week.timePerTopicHours = hours;
+        week.totalHours = total;
+        week.overBudget = total > budget;
+    });
+
+    plan.weeklyBudgetHours = budget;
+    return plan;
+}
+
+/**
+ * Generate a schema-valid learning plan, with one repair attempt
+ * @param {Object} provider - LLM provider
+ * @param {Object} profile - Normalized user profile
+ * @param {Array} gapSkills - Skills the plan should teach
+ * @param {number} weekCount - Number of weeks in the plan
+ * @returns {Promise<Object>} - { plan, source } where source is 'ai', 'repaired' or 'fallback'
+ */
+async function generateLearningPlan(provider, profile, gapSkills, weekCount = DEFAULT_PLAN_WEEKS) {
+    const catalogResources = getResourcesForSkills(gapSkills, profile.budget, { language: profile.language });
+    const result = await generateValidPlan(provider, profile, gapSkills, weekCount, catalogResources);
+    // Ground first: the model's own id, title and type are replaced by the catalog's
+    const plan = sanitizePlanResources(groundPlanResources(result.plan), profile.budget);
+    return { plan: enforceWeeklyBudget(plan, profile.weeklyTime), source: result.source };
+}
+
+async function generateValidPlan(provider, profile, gapSkills, weekCount, catalogResources) {
+    const planPrompt = buildPlanPrompt(profile, gapSkills, weekCount, catalogResources);
+    const planResponse = await provider.generate(planPrompt, { task: 'plan', json: true });
+
+    const first = parseLearningPlan(planResponse, weekCount);
+    if (first.plan) {
+        return { plan: first.plan, source: 'ai' };
+    }
+
+    console.warn('Learning plan failed validation, requesting repair:', first.errors.slice(0, 5));
+
+    try {
+        const repairPrompt = buildPlanRepairPrompt(profile, gapSkills, planResponse, first.errors, createPlanSchema(weekCount));
+        const repairResponse = await provider.generate(repairPrompt, { task: 'plan', json: true });
+
+        const repaired = parseLearningPlan(repairResponse, weekCount);
+        if (repaired.plan) {
+            return { plan: repaired.plan, source: 'repaired' };
+        }
+        console.warn('Repaired learning plan still invalid:', repaired.errors.slice(0, 5));
+    } catch (error) {
+        // Quota errors apply to the whole request
+        if (error.status === 429) throw error;
+        console.error('Learning plan repair failed:', error);
+    }
+
+    return { plan: createFallbackPlan(weekCount, profile.language), source: 'fallback' };
+}
+
+module.exports = {
+    MIN_PLAN_WEEKS,
+    MAX_PLAN_WEEKS,
+    DEFAULT_PLAN_WEEKS,
+    suggestPlanWeeks,
+    createPlanSchema,
+    validateSchema,
+    extractJSON,
+    parseLearningPlan,
+    createFallbackPlan,
+    sanitizeResourceUrl,
+    sanitizePlanResources,
+    enforceWeeklyBudget,
+    generateLearningPlan
+};
@@ -0,0 +1,334 @@
+// Basic unit tests for plans.js
+
+const {
+    createPlanSchema,
+    suggestPlanWeeks,
+    validateSchema,
+    parseLearningPlan,
+    createFallbackPlan,
+    sanitizeResourceUrl,
+    sanitizePlanResources,
+    enforceWeeklyBudget,
+    generateLearningPlan
+} = require('./plans');
+const { getResourcesForSkills, groundPlanResources } = require('./resources');
+
+// Mock test data
+const mockProfile = {
+    name: 'Test User',
+    education: 'UG',
+    skills: ['python', 'sql'],
+    interests: ['data'],
+    weeklyTime: 8,
+    budget: 'free',
+    language: 'en'
+};
+
+function createMockPlan(weekCount = 4) {
+    const weeks = [];
+    for (let i = 1; i <= weekCount; i++) {
+        weeks.push({
+            week: i,
+            topics: [`Topic ${i}`],
+            timePerTopicHours: [4],
+            practice: [`Practice ${i}`],
+            assessment: `Quiz ${i}`,
+            project: `Project ${i}`,
+            resources: [{ title: 'Docs', type: 'free', url: 'https://example.org/docs' }]
+        });
+    }
+    return { prerequisites: ['basic computer skills'], weeks };
+}
+
+// Provider returning scripted responses in order
+function createScriptedProvider(responses) {
+    const prompts = [];
+    return {
+        name: 'scripted',
+        model: 'test',
+        prompts,
+        async generate(prompt) {
+            prompts.push(prompt);
+            return responses[Math.min(prompts.length - 1, responses.length - 1)];
+        }
+    };
+}
+
+// Test validateSchema function
+function testValidateSchema() {
+    console.log('Testing validateSchema...');
+
+    const valid = validateSchema(createMockPlan(), createPlanSchema(4));
+    const passed = valid.length === 0;
+    console.log(`  validateSchema (valid plan): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const broken = createMockPlan();
+    delete broken.weeks[1].assessment;
+    broken.weeks[2].resources[0].type = 'premium';
+    const errors = validateSchema(broken, createPlanSchema(4));
+    const passed2 = errors.includes('plan.weeks[1].assessment is required') &&
+                    errors.includes('plan.weeks[2].resources[0].type must be one of: free, low, paid');
+    console.log(`  validateSchema (invalid plan): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Test parseLearningPlan function
+function testParseLearningPlan() {
+    console.log('Testing parseLearningPlan...');
+
+    const fenced = '```json\n' + JSON.stringify(createMockPlan()) + '\n```';
+    const result = parseLearningPlan(fenced);
+    const passed = result.plan !== null && result.errors.length === 0;
+    console.log(`  parseLearningPlan (fenced JSON): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const result2 = parseLearningPlan('Sorry, I cannot help with that.');
+    const passed2 = result2.plan === null && result2.errors.length > 0;
+    console.log(`  parseLearningPlan (not JSON): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const result3 = parseLearningPlan(JSON.stringify(createMockPlan(3)));
+    const passed3 = result3.plan === null && result3.errors.includes('plan.weeks must have at least 4 items');
+    console.log(`  parseLearningPlan (too few weeks): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test plan length handling
+async function testPlanLength() {
+    console.log('Testing plan length...');
+
+    const passed = suggestPlanWeeks(8, 4) === 4 &&
+                   suggestPlanWeeks(5, 10) === 16 &&
+                   suggestPlanWeeks(40, 2) === 2;
+    console.log(`  suggestPlanWeeks: ${passed ? 'PASS' : 'FAIL'}`);
+
+    const result = parseLearningPlan(JSON.stringify(createMockPlan(6)), 6);
+    const passed2 = result.plan !== null && result.plan.weeks.length === 6;
+    console.log(`  parseLearningPlan (6 weeks): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const fallback = createFallbackPlan(8);
+    const passed3 = fallback.weeks.length === 8 &&
+                    fallback.weeks[7].project === 'Capstone project' &&
+                    validateSchema(fallback, createPlanSchema(8)).length === 0;
+    console.log(`  createFallbackPlan (8 weeks): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    const provider = createScriptedProvider(['not json']);
+    const generated = await generateLearningPlan(provider, mockProfile, ['statistics'], 10);
+    const passed4 = generated.plan.weeks.length === 10 && provider.prompts[0].includes('10-week');
+    console.log(`  generateLearningPlan (10 weeks): ${passed4 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3 && passed4;
+}
+
+// Test sanitizePlanResources function
+function testSanitizePlanResources() {
+    console.log('Testing sanitizePlanResources...');
+
+    const passed = sanitizeResourceUrl(' https://docs.python.org/3/ ') === 'https://docs.python.org/3/' &&
+                   sanitizeResourceUrl('javascript:alert(1)') === null &&
+                   sanitizeResourceUrl('www.example') === null;
+    console.log(`  sanitizeResourceUrl: ${passed ? 'PASS' : 'FAIL'}`);
+
+    const plan = createMockPlan(1);
+    plan.prerequisites = [' Basic math ', 'basic math', 'Excel'];
+    plan.weeks[0].resources = [
+        { title: 'Free docs', type: 'free', url: 'https://example.org/docs' },
+        { title: 'Free docs again', type: 'free', url: 'https://example.org/docs' },
+        { title: 'Cheap course', type: 'low', url: 'not a url' },
+        { title: 'Paid bootcamp', type: 'paid', url: 'https://example.org/paid' }
+    ];
+    sanitizePlanResources(plan, 'low');
+
+    const resources = plan.weeks[0].resources;
+    const passed2 = JSON.stringify(plan.prerequisites) === '["Basic math","Excel"]' &&
+                    resources.length === 2 &&
+                    resources[1].title === 'Cheap course' && resources[1].url === undefined;
+    console.log(`  sanitizePlanResources (low budget): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const freePlan = sanitizePlanResources(createMockPlan(1), 'free');
+    const passed3 = freePlan.weeks[0].resources.length === 1;
+    console.log(`  sanitizePlanResources (free budget): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test grounding plan resources in the catalog
+async function testCatalogResources() {
+    console.log('Testing catalog resources...');
+
+    const lowBudget = getResourcesForSkills(['Ethical Hacking', 'cobol'], 'low').map(r => r.id);
+    const freeBudget = getResourcesForSkills(['ethical hacking'], 'free').map(r => r.id);
+    const passed = lowBudget.includes('tryhackme') && !freeBudget.includes('tryhackme') && freeBudget.length > 0;
+    console.log(`  getResourcesForSkills: ${passed ? 'PASS' : 'FAIL'}`);
+
+    const plan = createMockPlan(1);
+    plan.weeks[0].resources = [
+        { id: 'sqlbolt', title: 'Renamed by the model', type: 'paid' },
+        { title: 'Python tutorial', type: 'free', url: 'https://docs.python.org/3/tutorial' },
+        { title: 'Made up course', type: 'free', url: 'https://example.org/invented' }
+    ];
+    groundPlanResources(plan);
+    const resources = plan.weeks[0].resources;
+    const passed2 = resources.length === 2 &&
+                    resources[0].title === 'SQLBolt interactive SQL lessons' && resources[0].type === 'free' &&
+                    resources[1].id === 'python-tutorial';
+    console.log(`  groundPlanResources: ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const provider = createScriptedProvider([JSON.stringify(createMockPlan())]);
+    await generateLearningPlan(provider, mockProfile, ['sql']);
+    const passed3 = provider.prompts[0].includes('id: sqlbolt') && !provider.prompts[0].includes('id: pytorch-tutorials');
+    console.log(`  buildPlanPrompt (catalog): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    // A resource given by catalog id only keeps its id and catalog details
+    const idPlan = createMockPlan();
+    idPlan.weeks[0].resources = [{ id: 'sqlbolt', title: 'SQLBolt', type: 'free' }];
+    const idResult = await generateLearningPlan(createScriptedProvider([JSON.stringify(idPlan)]), mockProfile, ['sql'], 4);
+    const idResources = idResult.plan.weeks[0].resources;
+    const passed4 = idResources.length === 1 && idResources[0].id === 'sqlbolt' &&
+                    idResources[0].title === 'SQLBolt interactive SQL lessons' && Boolean(idResources[0].url);
+    console.log(`  generateLearningPlan (resource by id): ${passed4 ? 'PASS' : 'FAIL'}`);
+
+    // A paid catalog entry the model labels free is still outside a free budget
+    const mislabelledPlan = createMockPlan();
+    mislabelledPlan.weeks[0].resources = [
+        { id: 'coursera-google-data-analytics', title: 'Google Data Analytics', type: 'free' },
+        { title: 'Google Data Analytics', type: 'free', url: 'https://www.coursera.org/professional-certificates/google-data-analytics' }
+    ];
+    const mislabelled = await generateLearningPlan(createScriptedProvider([JSON.stringify(mislabelledPlan)]), mockProfile, ['sql'], 4);
+    const passed5 = mislabelled.plan.weeks[0].resources.length === 0;
+    console.log(`  generateLearningPlan (mislabelled paid resource): ${passed5 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3 && passed4 && passed5;
+}
+
+// Test enforceWeeklyBudget function
+function testEnforceWeeklyBudget() {
+    console.log('Testing enforceWeeklyBudget...');
+
+    const plan = createMockPlan(3);
+    plan.weeks[0].topics = ['A', 'B', 'C'];
+    plan.weeks[0].timePerTopicHours = [6, 4, 2];
+    plan.weeks[1].topics = ['A', 'B'];
+    delete plan.weeks[1].timePerTopicHours;
+    plan.weeks[2].topics = Array.from({ length: 20 }, (_, i) => `Topic ${i}`);
+    enforceWeeklyBudget(plan, 8);
+
+    const passed = plan.weeks[0].totalHours <= 8 && !plan.weeks[0].overBudget &&
+                   plan.weeks[0].timePerTopicHours.length === 3;
+    console.log(`  enforceWeeklyBudget (rebalanced): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const passed2 = JSON.stringify(plan.weeks[1].timePerTopicHours) === '[4,4]' && plan.weeks[1].totalHours === 8;
+    console.log(`  enforceWeeklyBudget (filled in): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const passed3 = plan.weeks[2].overBudget === true && plan.weeklyBudgetHours === 8;
+    console.log(`  enforceWeeklyBudget (flagged): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test generateLearningPlan sources
+async function testGenerateLearningPlan() {
+    console.log('Testing generateLearningPlan...');
+
+    const good = JSON.stringify(createMockPlan());
+
+    const direct = await generateLearningPlan(createScriptedProvider([good]), mockProfile, ['statistics']);
+    const passed = direct.source === 'ai';
+    console.log(`  generateLearningPlan (ai): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const repairProvider = createScriptedProvider(['{"weeks": []}', good]);
+    const repaired = await generateLearningPlan(repairProvider, mockProfile, ['statistics']);
+    const passed2 = repaired.source === 'repaired' &&
+                    repairProvider.prompts.length === 2 &&
+                    repairProvider.prompts[1].includes('plan.weeks must have at least 4 items');
+    console.log(`  generateLearningPlan (repaired): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const fallback = await generateLearningPlan(createScriptedProvider(['not json']), mockProfile, ['statistics']);
+    const passed3 = fallback.source === 'fallback' &&
+                    JSON.stringify(fallback.plan) === JSON.stringify(enforceWeeklyBudget(sanitizePlanResources(createFallbackPlan(), mockProfile.budget), mockProfile.weeklyTime));
+    console.log(`  generateLearningPlan (fallback): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test the fallback plan is written in the profile language
+async function testLocalizedFallbackPlan() {
+    console.log('Testing localized fallback plan...');
+
+    const hindi = createFallbackPlan(6, 'hi');
+    const passed = hindi.weeks[5].project === 'कैपस्टोन प्रोजेक्ट' &&
+                   hindi.weeks[1].topics[0] === 'बुनियादी अवधारणाएँ और मूल बातें (जारी)' &&
+                   validateSchema(hindi, createPlanSchema(6)).length === 0;
+    console.log(`  createFallbackPlan (hi): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const unknown = createFallbackPlan(4, 'xx');
+    const passed2 = JSON.stringify(unknown) === JSON.stringify(createFallbackPlan(4));
+    console.log(`  createFallbackPlan (unsupported language): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const tamilProfile = { ...mockProfile, language: 'ta' };
+    const provider = createScriptedProvider(['not json', 'not json']);
+    const generated = await generateLearningPlan(provider, tamilProfile, ['statistics']);
+    const passed3 = generated.source === 'fallback' &&
+                    generated.plan.weeks[3].project === createFallbackPlan(4, 'ta').weeks[3].project &&
+                    provider.prompts[0].includes('Language: Tamil');
+    console.log(`  generateLearningPlan (ta fallback): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Run all tests
+async function runAllTests() {
+    console.log('Running learning plan tests...\n');
+
+    const tests = [
+        testValidateSchema,
+        testParseLearningPlan,
+        testPlanLength,
+        testSanitizePlanResources,
+        testCatalogResources,
+        testEnforceWeeklyBudget,
+        testGenerateLearningPlan,
+        testLocalizedFallbackPlan
+    ];
+
+    let passedTests = 0;
+    let totalTests = tests.length;
+
+    for (const test of tests) {
+        try {
+            if (await test()) {
+                passedTests++;
+            }
+        } catch (error) {
+            console.log(`  ${test.name}: FAILED with error: ${error.message}`);
+        }
+    }
+
+    console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log('❌ Some tests failed. Please check the output above.');
+    }
+
+    return passedTests === totalTests;
+}
+
+// Export for use in other test files
+module.exports = {
+    runAllTests,
+    testValidateSchema,
+    testParseLearningPlan,
+    testPlanLength,
+    testSanitizePlanResources,
+    testCatalogResources,
+    testEnforceWeeklyBudget,
+    testGenerateLearningPlan,
+    testLocalizedFallbackPlan
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runAllTests();
+}
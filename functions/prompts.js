@@ -1,8 +1,28 @@
 // Prompt builders for Gemini AI
+const { getLanguageName } = require('./i18n');
+
+const PROFICIENCY_LABELS = ['', 'beginner', 'elementary', 'intermediate', 'proficient', 'advanced'];
+
+// Bump a template's version whenever its wording changes; versions are
+// stored with each recommendation so results can be traced to a prompt
+const PROMPT_VERSIONS = {
+    explain: 1,
+    plan: 1,
+    planRepair: 1,
+    extractSkills: 1
+};
+
+// "python (advanced), sql" from canonical skills and their optional levels
+function formatSkills(profile) {
+    const levels = profile.skillLevels || {};
+    return profile.skills
+        .map(skill => levels[skill] ? `${skill} (${PROFICIENCY_LABELS[levels[skill]]})` : skill)
+        .join(', ');
+}
 
 // Build prompt for explaining why a role fits the user
 function buildExplainPrompt(profile, role, roleSkills) {
-    const language = profile.language === 'hi' ? 'Hindi' : 'English';
+    const language = getLanguageName(profile.language);
     const educationLevel = getEducationDisplay(profile.education);
     
     return `You are a career advisor helping a user understand why a specific job role fits their background.
@@ -10,21 +30,27 @@ function buildExplainPrompt(profile, role, roleSkills) {
 User Profile:
 - Name: ${profile.name}
 - Education: ${educationLevel}
-- Current Skills: ${profile.skills.join(', ')}
+- Current Skills: ${formatSkills(profile)}
+- Soft Skills: ${(profile.softSkills || []).join(', ') || 'Not specified'}
 - Interests: ${profile.interests.join(', ')}
+- Experience Level: ${profile.experienceLevel || 'Not specified'}
 - Weekly Study Time: ${profile.weeklyTime} hours
 - Budget Preference: ${profile.budget}
 - Language: ${language}
 
 Job Role: ${role.title}
+Role Description: ${role.description || 'Not available'}
 Required Skills: ${roleSkills.map(s => s.name).join(', ')}
+Typical Salary: ${formatSalaryRange(role.salaryInr, role.level)}
+Typical Education Paths: ${(role.educationPaths || []).join('; ') || 'Not available'}
 
 Task: Write a concise explanation (maximum 120 words) in ${language} explaining why this role is a good fit for the user. Include a short bullet list mapping of user's skills to required skills.
 
 Focus on:
-1. How their current skills align with the role requirements
-2. How their interests connect to this career path
-3. Why this role makes sense given their background
+1. What the role involves day to day, in one sentence
+2. How their current skills align with the role requirements
+3. How their interests and education connect to this career path
+4. Why this role makes sense given their background
 
 Guidelines:
 - Be encouraging and positive
@@ -32,6 +58,7 @@ Guidelines:
 - Keep it under 120 words
 - Write in ${language}
 - Avoid mentioning sensitive personal attributes
+- Do not promise a salary; the typical salary is context only
 - Focus on professional growth opportunities
 - Include a 2–3 bullet mapping like "python → data cleaning, automation" using the user's skills
 
@@ -39,22 +66,30 @@ Response: Write only the explanation, no additional formatting or text.`;
 }
 
 // Build prompt for generating learning plan
-function buildPlanPrompt(profile, gapSkills) {
-    const language = profile.language === 'hi' ? 'Hindi' : 'English';
+// catalogResources are the only resources the model may recommend
+function buildPlanPrompt(profile, gapSkills, weekCount = 4, catalogResources = []) {
+    const language = getLanguageName(profile.language);
     const budgetText = getBudgetText(profile.budget);
     const timeText = getTimeText(profile.weeklyTime);
+    const catalogText = catalogResources.length > 0
+        ? catalogResources.map(formatCatalogResource).join('\n')
+        : '- (none available; use an empty "resources" array)';
     
-    return `You are a learning path designer creating a 4-week structured learning plan.
+    return `You are a learning path designer creating a ${weekCount}-week structured learning plan.
 
 User Context:
-- Current Skills: ${profile.skills.join(', ')}
+- Current Skills: ${formatSkills(profile)}
 - Skills to Learn: ${gapSkills.join(', ')}
+- Plan Length: ${weekCount} weeks
 - Weekly Study Time: ${profile.weeklyTime} hours (${timeText})
 - Budget: ${budgetText}
 - Language: ${language}
 
+Resource Catalog (the only resources you may use):
+${catalogText}
+
 Requirements:
-Create a 4-week learning plan in JSON format with the following structure:
+Create a ${weekCount}-week learning plan in JSON format with exactly ${weekCount} entries in "weeks", using the following structure:
 
 {
   "prerequisites": ["skill or concept"],
@@ -67,7 +102,7 @@ Create a 4-week learning plan in JSON format with the following structure:
       "assessment": "Assessment description",
       "project": "Project description",
       "resources": [
-        {"title":"NPTEL/YouTube/Docs link title","type":"free|low|paid","url":"https://..."}
+        {"id":"catalog id","title":"catalog title","type":"free|low|paid","url":"catalog url"}
       ]
     }
   ]
@@ -79,17 +114,58 @@ Guidelines:
 - Assessments should be measurable (quizzes, tests, etc.)
 - Projects should be realistic and build upon previous weeks (one cumulative portfolio project)
 - Respect the ${profile.weeklyTime} hours per week constraint; ensure sum(timePerTopicHours) ≤ ${profile.weeklyTime}
-- Use ${budgetText} resources; prefer NPTEL, IIT courses, official docs, low-bandwidth options
+- Only recommend resources from the Resource Catalog; copy id, title, type (the catalog cost) and url exactly, and never invent links
+- Attach each resource to the week that covers its skill
 - Make content relevant to Indian job market context
 - Ensure topics are specific and actionable
-- Provide resource URLs when possible
+
+Response: Return ONLY the JSON object, no additional text, explanations, or markdown formatting. The response must be valid JSON that can be parsed directly.`;
+}
+
+// Salary ranges are annual INR, shown in lakhs per annum (LPA)
+function formatSalaryRange(salaryInr, level) {
+    if (!salaryInr) return 'Not available';
+    const lpa = amount => `${Math.round(amount / 10000) / 10}`;
+    const levelText = level ? ` at ${level} level` : '';
+    return `₹${lpa(salaryInr.min)}–${lpa(salaryInr.max)} LPA${levelText}`;
+}
+
+function formatCatalogResource(resource) {
+    return `- id: ${resource.id} | title: ${resource.title} | skill: ${resource.skill} | provider: ${resource.provider} | cost: ${resource.cost} | language: ${resource.language} | hours: ${resource.estimatedHours} | url: ${resource.url}`;
+}
+
+// Build prompt asking the model to fix a learning plan that failed validation
+function buildPlanRepairPrompt(profile, gapSkills, invalidResponse, errors, schema) {
+    const language = getLanguageName(profile.language);
+    const truncated = String(invalidResponse || '').substring(0, 6000);
+    
+    return `You are a learning path designer. Your previous learning plan response could not be used because it does not match the required JSON schema.
+
+User Context:
+- Skills to Learn: ${gapSkills.join(', ')}
+- Plan Length: ${schema.properties.weeks.minItems} weeks
+- Weekly Study Time: ${profile.weeklyTime} hours
+- Language: ${language}
+
+Validation errors:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Required JSON schema:
+${JSON.stringify(schema, null, 2)}
+
+Previous response:
+"""
+${truncated}
+"""
+
+Task: Return a corrected learning plan that fixes every validation error while keeping the original content where possible.
 
 Response: Return ONLY the JSON object, no additional text, explanations, or markdown formatting. The response must be valid JSON that can be parsed directly.`;
 }
 
 // Build prompt for extracting skills from free text
 function buildExtractSkillsPrompt(text, languageCode) {
-    const language = languageCode === 'hi' ? 'Hindi' : 'English';
+    const language = getLanguageName(languageCode);
     return `You are a skills extractor. Given a user's free-text description, extract hard and soft skills with confidence scores and short evidence quotes from the text. Return ONLY JSON.
 
 Input Language: ${language}
@@ -144,7 +220,9 @@ function getTimeText(hours) {
 
 // Export functions
 module.exports = {
+    PROMPT_VERSIONS,
     buildExplainPrompt,
     buildPlanPrompt,
+    buildPlanRepairPrompt,
     buildExtractSkillsPrompt
 };
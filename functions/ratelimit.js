@@ -0,0 +1,129 @@
+// Per-user rate limiting backed by Firestore counters
+//
+// Counters live in `rateLimits/{uid}_{bucket}_{windowStart}` as fixed windows.
+// Each document carries `expiresAt` so a Firestore TTL policy can clean them up.
+const admin = require('firebase-admin');
+const { ApiError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const LIMITS = {
+    recommend: { limit: Number(process.env.RECOMMEND_LIMIT_PER_HOUR) || 5, windowMs: HOUR_MS },
+    extractSkills: { limit: Number(process.env.EXTRACT_SKILLS_LIMIT_PER_HOUR) || 20, windowMs: HOUR_MS },
+    aiCalls: { limit: Number(process.env.AI_CALLS_PER_DAY) || 60, windowMs: DAY_MS }
+};
+
+/**
+ * Compute the fixed window containing a point in time
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - windowStart (ms) and retryAfter (seconds until the window resets)
+ */
+function getWindow(windowMs, now = Date.now()) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    return {
+        windowStart,
+        retryAfter: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000))
+    };
+}
+
+/**
+ * Consume units from a user's bucket
+ * @param {string} uid - User id
+ * @param {string} bucket - Key of LIMITS
+ * @param {number} cost - Units to consume
+ * @returns {Promise<Object>} - { allowed, remaining, retryAfter }
+ */
+async function consume(uid, bucket, cost = 1) {
+    const { limit, windowMs } = LIMITS[bucket];
+    const { windowStart, retryAfter } = getWindow(windowMs);
+    const db = admin.firestore();
+    const ref = db.collection('rateLimits').doc(`${uid}_${bucket}_${windowStart}`);
+
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const count = snap.exists ? snap.data().count || 0 : 0;
+
+        if (count + cost > limit) {
+            return { allowed: false, remaining: Math.max(0, limit - count), retryAfter };
+        }
+
+        tx.set(ref, {
+            uid,
+            bucket,
+            count: count + cost,
+            windowStart: admin.firestore.Timestamp.fromMillis(windowStart),
+            expiresAt: admin.firestore.Timestamp.fromMillis(windowStart + windowMs)
+        });
+        return { allowed: true, remaining: limit - count - cost, retryAfter };
+    });
+}
+
+/**
+ * Express middleware limiting requests per authenticated user
+ * Must run after verifyFirebaseToken. Fails open if Firestore is unavailable.
+ * @param {string} bucket - Key of LIMITS
+ * @param {Object} options - Optional skip(req), true for requests that are
+ *   let through without being counted, and counter (defaults to consume)
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(bucket, { skip = () => false, counter = consume } = {}) {
+    return async (req, res, next) => {
+        if (skip(req)) return next();
+
+        let result;
+        try {
+            result = await counter(req.user.uid, bucket);
+        } catch (error) {
+            console.error(`Rate limiter unavailable for ${bucket}:`, error);
+            return next();
+        }
+
+        if (!result.allowed) {
+            console.warn(`Rate limit hit: ${bucket} for user ${req.user.uid}`);
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: 'Please try again later',
+                retryAfter: result.retryAfter
+            });
+        }
+
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+        return next();
+    };
+}
+
+/**
+ * Wrap an LLM provider so every call counts against the user's daily AI quota
+ * @param {Object} provider - LLM provider
+ * @param {string} uid - User id
+ * @returns {Object} - Provider with the same interface
+ */
+function meterProvider(provider, uid) {
+    return {
+        ...provider,
+        async generate(prompt, options) {
+            let result = null;
+            try {
+                result = await consume(uid, 'aiCalls');
+            } catch (error) {
+                console.error('AI quota check unavailable:', error);
+            }
+
+            if (result && !result.allowed) {
+                throw new ApiError(429, 'Daily AI quota exceeded', { retryAfter: result.retryAfter });
+            }
+            return provider.generate(prompt, options);
+        }
+    };
+}
+
+module.exports = {
+    LIMITS,
+    getWindow,
+    consume,
+    rateLimit,
+    meterProvider
+};
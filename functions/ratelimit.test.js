@@ -0,0 +1,148 @@
+// Basic unit tests for ratelimit.js
+
+const { getWindow, rateLimit } = require('./ratelimit');
+
+// In-memory counter with the same contract as consume()
+function createMockCounter(limit) {
+    const counts = {};
+    const counter = async (uid, bucket) => {
+        const key = `${uid}_${bucket}`;
+        const count = counts[key] || 0;
+        if (count + 1 > limit) {
+            return { allowed: false, remaining: 0, retryAfter: 30 };
+        }
+        counts[key] = count + 1;
+        return { allowed: true, remaining: limit - count - 1, retryAfter: 30 };
+    };
+    return { counter, counts };
+}
+
+// Minimal Express response recording status, headers and body
+function createMockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// Run a middleware and resolve to whether it called next()
+async function runMiddleware(middleware, req, res) {
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return nextCalled;
+}
+
+// Test getWindow function
+function testGetWindow() {
+    console.log('Testing getWindow...');
+
+    const hour = 60 * 60 * 1000;
+    const window = getWindow(hour, 5 * hour + 15 * 60 * 1000);
+    const passed = window.windowStart === 5 * hour && window.retryAfter === 45 * 60;
+    console.log(`  getWindow (mid window): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const edge = getWindow(hour, 6 * hour);
+    const passed2 = edge.windowStart === 6 * hour && edge.retryAfter === 60 * 60;
+    console.log(`  getWindow (window start): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Test rateLimit counts requests and rejects once the limit is reached
+async function testRateLimit() {
+    console.log('Testing rateLimit...');
+
+    const { counter, counts } = createMockCounter(2);
+    const limiter = rateLimit('recommend', { counter });
+    const req = { user: { uid: 'u1' } };
+
+    const first = createMockResponse();
+    const passed = await runMiddleware(limiter, req, first) &&
+                   first.headers['X-RateLimit-Remaining'] === '1';
+    console.log(`  rateLimit (under limit): ${passed ? 'PASS' : 'FAIL'}`);
+
+    await runMiddleware(limiter, req, createMockResponse());
+    const blocked = createMockResponse();
+    const nextCalled = await runMiddleware(limiter, req, blocked);
+    const passed2 = !nextCalled && blocked.statusCode === 429 &&
+                    blocked.headers['Retry-After'] === '30' &&
+                    counts.u1_recommend === 2;
+    console.log(`  rateLimit (over limit): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Test skipped requests (such as replays) pass without touching the counter
+async function testRateLimitSkip() {
+    console.log('Testing rateLimit skip...');
+
+    const { counter, counts } = createMockCounter(1);
+    const limiter = rateLimit('recommend', { counter, skip: req => Boolean(req.recommendation.saved) });
+    const fresh = { user: { uid: 'u1' }, recommendation: { saved: null } };
+    const replay = { user: { uid: 'u1' }, recommendation: { saved: { id: 'req-abc12345' } } };
+
+    const replayed = await runMiddleware(limiter, replay, createMockResponse());
+    const passed = replayed && counts.u1_recommend === undefined;
+    console.log(`  rateLimit (replay not counted): ${passed ? 'PASS' : 'FAIL'}`);
+
+    // A replay is still served once the limit is used up
+    await runMiddleware(limiter, fresh, createMockResponse());
+    const blocked = createMockResponse();
+    const freshAllowed = await runMiddleware(limiter, fresh, blocked);
+    const replayedAgain = await runMiddleware(limiter, replay, createMockResponse());
+    const passed2 = !freshAllowed && blocked.statusCode === 429 && replayedAgain && counts.u1_recommend === 1;
+    console.log(`  rateLimit (replay after limit): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Run all tests
+async function runAllTests() {
+    console.log('Running rate limit tests...\n');
+
+    const tests = [
+        testGetWindow,
+        testRateLimit,
+        testRateLimitSkip
+    ];
+
+    let passedTests = 0;
+    let totalTests = tests.length;
+
+    for (const test of tests) {
+        try {
+            if (await test()) {
+                passedTests++;
+            }
+        } catch (error) {
+            console.log(`  ${test.name}: FAILED with error: ${error.message}`);
+        }
+    }
+
+    console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log('❌ Some tests failed. Please check the output above.');
+    }
+
+    return passedTests === totalTests;
+}
+
+// Export for use in other test files
+module.exports = {
+    runAllTests,
+    testGetWindow,
+    testRateLimit,
+    testRateLimitSkip
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runAllTests();
+}
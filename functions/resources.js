@@ -0,0 +1,103 @@
+// Curated learning resource catalog
+//
+// Plan resources are chosen from resources.json instead of being invented by
+// the model; anything the model returns that is not in the catalog is dropped.
+const catalog = require('./resources.json');
+const { canonicalizeSkillName } = require('./utils');
+
+const RESOURCES_VERSION = catalog.version;
+
+// Resource cost types allowed for each profile budget
+const BUDGET_RESOURCE_TYPES = {
+    free: ['free'],
+    low: ['free', 'low'],
+    any: ['free', 'low', 'paid']
+};
+
+// Catalog entries are compared by URL without trailing slashes or case
+function normalizeUrl(url) {
+    return typeof url === 'string' ? url.trim().toLowerCase().replace(/\/+$/, '') : '';
+}
+
+const entriesById = new Map();
+const entriesByUrl = new Map();
+Object.entries(catalog.skills).forEach(([skill, entries]) => {
+    entries.forEach(entry => {
+        const indexed = { ...entry, skill };
+        entriesById.set(entry.id, indexed);
+        entriesByUrl.set(normalizeUrl(entry.url), indexed);
+    });
+});
+
+/**
+ * Catalog entries for a list of skills, within a budget
+ * @param {Array} skills - Skill names (canonicalized before lookup)
+ * @param {string} budget - Profile budget (free, low or any)
+ * @param {Object} options - Optional language (preferred first) and perSkill limit
+ * @returns {Array} - Entries with their catalog skill, in skill order
+ */
+function getResourcesForSkills(skills, budget, { language = 'en', perSkill = 3 } = {}) {
+    const allowedTypes = BUDGET_RESOURCE_TYPES[budget] || BUDGET_RESOURCE_TYPES.free;
+    const seen = new Set();
+    const results = [];
+
+    (skills || []).forEach(name => {
+        const skill = canonicalizeSkillName(name);
+        const entries = (catalog.skills[skill] || [])
+            .filter(entry => allowedTypes.includes(entry.cost))
+            .sort((a, b) => (b.language === language) - (a.language === language));
+
+        entries.slice(0, perSkill).forEach(entry => {
+            if (seen.has(entry.id)) return;
+            seen.add(entry.id);
+            results.push({ ...entry, skill });
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Look up the catalog entry for a plan resource, by id or by URL
+ * @param {Object} resource - Resource from a learning plan
+ * @returns {Object|null} - Catalog entry, or null when the resource is not in the catalog
+ */
+function findCatalogResource(resource) {
+    if (!resource || typeof resource !== 'object') return null;
+    return entriesById.get(resource.id) || entriesByUrl.get(normalizeUrl(resource.url)) || null;
+}
+
+/**
+ * Replace plan resources with their catalog entries, dropping unknown ones
+ * @param {Object} plan - Schema-valid learning plan (modified in place)
+ * @returns {Object} - The same plan
+ */
+function groundPlanResources(plan) {
+    plan.weeks.forEach(week => {
+        const grounded = [];
+        (week.resources || []).forEach(resource => {
+            const entry = findCatalogResource(resource);
+            if (!entry || grounded.some(item => item.id === entry.id)) return;
+            grounded.push({
+                id: entry.id,
+                title: entry.title,
+                type: entry.cost,
+                url: entry.url,
+                provider: entry.provider,
+                language: entry.language,
+                estimatedHours: entry.estimatedHours
+            });
+        });
+        week.resources = grounded;
+    });
+
+    return plan;
+}
+
+module.exports = {
+    RESOURCES_VERSION,
+    BUDGET_RESOURCE_TYPES,
+    getResourcesForSkills,
+    findCatalogResource,
+    groundPlanResources
+};
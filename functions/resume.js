@@ -0,0 +1,108 @@
+// Resume text extraction for uploaded PDF and DOCX files
+//
+// The browser uploads the resume to Cloud Storage under resumes/{uid}/ (see
+// storage.rules). The server downloads it, extracts the text locally and
+// deletes the upload, so resumes are never kept.
+const admin = require('firebase-admin');
+// The package entry point runs a self-test when required; the library itself does not
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { ApiError } = require('./errors');
+
+const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+// Longer resumes are truncated before prompting
+const MAX_RESUME_TEXT_CHARS = 20000;
+const RESUME_PATH_PATTERN = /^resumes\/([^/]+)\/[^/]+$/;
+
+/**
+ * Detect the resume format from the file contents rather than its name
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - 'pdf', 'docx' or null
+ */
+function detectResumeType(buffer) {
+    if (buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-') {
+        return 'pdf';
+    }
+    // DOCX files are zip archives containing word/document.xml
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 && buffer.includes('word/')) {
+        return 'docx';
+    }
+    return null;
+}
+
+/**
+ * Extract plain text from a PDF or DOCX resume
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} - Text with whitespace collapsed, at most MAX_RESUME_TEXT_CHARS long
+ */
+async function extractResumeText(buffer) {
+    const type = detectResumeType(buffer);
+    if (!type) {
+        throw new ApiError(415, 'Resume must be a PDF or DOCX file');
+    }
+
+    let text;
+    try {
+        if (type === 'pdf') {
+            text = (await pdfParse(buffer)).text;
+        } else {
+            text = (await mammoth.extractRawText({ buffer })).value;
+        }
+    } catch (error) {
+        console.warn(`Failed to read ${type} resume:`, error.message);
+        throw new ApiError(422, 'Could not read the resume file');
+    }
+
+    const cleaned = (text || '')
+        .replace(/[ \t\f\v]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+    if (cleaned.length < 10) {
+        throw new ApiError(422, 'No text found in the resume (scanned PDFs are not supported)');
+    }
+    return cleaned.substring(0, MAX_RESUME_TEXT_CHARS);
+}
+
+/**
+ * Read the text of a resume the user uploaded, then delete the upload
+ * @param {string} uid - Signed-in user
+ * @param {string} path - Storage path, resumes/{uid}/{file}
+ * @returns {Promise<string>} - Resume text
+ */
+async function readUploadedResume(uid, path) {
+    const match = typeof path === 'string' ? path.match(RESUME_PATH_PATTERN) : null;
+    if (!match) {
+        throw new ApiError(400, 'path must be resumes/{uid}/{file}');
+    }
+    if (match[1] !== uid) {
+        throw new ApiError(403, 'Resume belongs to another user');
+    }
+
+    const file = admin.storage().bucket().file(path);
+    let metadata;
+    try {
+        [metadata] = await file.getMetadata();
+    } catch (error) {
+        if (error.code === 404) {
+            throw new ApiError(404, 'Resume upload not found');
+        }
+        throw error;
+    }
+
+    try {
+        if (Number(metadata.size) > MAX_RESUME_BYTES) {
+            throw new ApiError(413, 'Resume must be smaller than 5 MB');
+        }
+        const [buffer] = await file.download();
+        return await extractResumeText(buffer);
+    } finally {
+        await file.delete().catch(error => console.error('Failed to delete resume upload:', error));
+    }
+}
+
+module.exports = {
+    MAX_RESUME_BYTES,
+    detectResumeType,
+    extractResumeText,
+    readUploadedResume
+};
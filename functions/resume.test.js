@@ -0,0 +1,105 @@
+// Basic unit tests for resume.js
+
+const { detectResumeType, extractResumeText, readUploadedResume } = require('./resume');
+
+// Resolve to the ApiError status a promise rejects with, or null if it resolves
+async function rejectionStatus(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (error) {
+        return error.status;
+    }
+}
+
+// Test detectResumeType function
+function testDetectResumeType() {
+    console.log('Testing detectResumeType...');
+
+    const pdf = Buffer.from('%PDF-1.7\n...');
+    const docx = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from('....word/document.xml')]);
+    const zip = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from('....photos/cat.jpg')]);
+
+    const passed = detectResumeType(pdf) === 'pdf' &&
+                   detectResumeType(docx) === 'docx' &&
+                   detectResumeType(zip) === null &&
+                   detectResumeType(Buffer.from('plain text resume')) === null;
+    console.log(`  detectResumeType: ${passed ? 'PASS' : 'FAIL'}`);
+
+    return passed;
+}
+
+// Test extractResumeText rejections
+async function testExtractResumeText() {
+    console.log('Testing extractResumeText...');
+
+    const passed = await rejectionStatus(extractResumeText(Buffer.from('Name: Test User, Skills: python'))) === 415;
+    console.log(`  extractResumeText (unsupported type): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const passed2 = await rejectionStatus(extractResumeText(Buffer.from('%PDF-1.4\nnot really a pdf'))) === 422;
+    console.log(`  extractResumeText (unreadable file): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Test readUploadedResume path checks (these fail before Storage is touched)
+async function testReadUploadedResume() {
+    console.log('Testing readUploadedResume...');
+
+    const passed = await rejectionStatus(readUploadedResume('u1', 'uploads/u1/cv.pdf')) === 400 &&
+                   await rejectionStatus(readUploadedResume('u1', 'resumes/u1/../u2/cv.pdf')) === 400 &&
+                   await rejectionStatus(readUploadedResume('u1', undefined)) === 400;
+    console.log(`  readUploadedResume (bad path): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const passed2 = await rejectionStatus(readUploadedResume('u1', 'resumes/u2/cv.pdf')) === 403;
+    console.log(`  readUploadedResume (other user): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Run all tests
+async function runAllTests() {
+    console.log('Running resume tests...\n');
+
+    const tests = [
+        testDetectResumeType,
+        testExtractResumeText,
+        testReadUploadedResume
+    ];
+
+    let passedTests = 0;
+    let totalTests = tests.length;
+
+    for (const test of tests) {
+        try {
+            if (await test()) {
+                passedTests++;
+            }
+        } catch (error) {
+            console.log(`  ${test.name}: FAILED with error: ${error.message}`);
+        }
+    }
+
+    console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log('❌ Some tests failed. Please check the output above.');
+    }
+
+    return passedTests === totalTests;
+}
+
+// Export for use in other test files
+module.exports = {
+    runAllTests,
+    testDetectResumeType,
+    testExtractResumeText,
+    testReadUploadedResume
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runAllTests();
+}
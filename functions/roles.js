@@ -0,0 +1,323 @@
+// Role catalog stored in Firestore
+//
+// Roles live in the `roles` collection (one document per roleId) and the
+// catalog version in `meta/rolesCatalog`. Every admin write bumps the version.
+// Seeding starts the version at the roles.json version, so the bundled roles
+// and a catalog seeded from them report the same integer version.
+// Reads are cached in memory per instance; when the catalog was never seeded
+// or Firestore is unreachable the bundled roles.json is used so matching keeps
+// working. A seeded catalog whose roles were all deleted stays empty.
+const admin = require('firebase-admin');
+const bundled = require('./roles.json');
+const { ApiError } = require('./errors');
+
+const BUNDLED_ROLES_VERSION = bundled.version;
+const ROLES_CACHE_TTL_MS = (Number(process.env.ROLES_CACHE_TTL_SECONDS) || 300) * 1000;
+const ROLE_ID_PATTERN = /^[a-z0-9_]{2,64}$/;
+const ROLE_LEVELS = ['entry', 'mid', 'senior'];
+
+let cache = null;
+let pending = null;
+
+function catalogRefs() {
+    const db = admin.firestore();
+    return {
+        db,
+        roles: db.collection('roles'),
+        meta: db.collection('meta').doc('rolesCatalog')
+    };
+}
+
+// Strip bookkeeping fields so role objects look like roles.json entries
+function toRole(data) {
+    const { version, updatedAt, updatedBy, ...role } = data;
+    return role;
+}
+
+function bundledCatalog() {
+    return { roles: bundled.roles, version: BUNDLED_ROLES_VERSION, source: 'bundled', loadedAt: Date.now() };
+}
+
+async function loadCatalog() {
+    const { roles, meta } = catalogRefs();
+    const [snapshot, metaSnap] = await Promise.all([roles.get(), meta.get()]);
+
+    // A catalog that was seeded and then emptied by admins stays empty;
+    // only a catalog that was never seeded falls back to roles.json
+    if (snapshot.empty && !metaSnap.exists) {
+        console.warn('roles collection was never seeded, using bundled roles.json');
+        return bundledCatalog();
+    }
+
+    const loaded = {};
+    snapshot.docs.forEach(doc => {
+        loaded[doc.id] = toRole(doc.data());
+    });
+
+    return {
+        roles: loaded,
+        version: metaSnap.exists ? metaSnap.data().version || 0 : 0,
+        source: 'firestore',
+        loadedAt: Date.now()
+    };
+}
+
+/**
+ * Get the role catalog, from the in-memory cache when fresh
+ * @returns {Promise<Object>} - { roles (keyed by roleId), version, source }
+ */
+async function getRoles() {
+    if (cache && Date.now() - cache.loadedAt < ROLES_CACHE_TTL_MS) {
+        return cache;
+    }
+
+    // Concurrent requests share one Firestore read
+    if (!pending) {
+        pending = loadCatalog()
+            .then(catalog => {
+                cache = catalog;
+                return catalog;
+            })
+            .catch(error => {
+                console.error('Failed to load roles from Firestore:', error);
+                return cache || bundledCatalog();
+            })
+            .finally(() => {
+                pending = null;
+            });
+    }
+
+    return pending;
+}
+
+// Drop the cached catalog so the next read goes to Firestore
+function invalidateRolesCache() {
+    cache = null;
+}
+
+/**
+ * View of a role at one seniority level
+ * Without a level the role's general skills are used and the salary range
+ * spans every level the role defines.
+ * @param {Object} role - Role from the catalog
+ * @param {string|null} level - 'entry', 'mid', 'senior' or null
+ * @returns {Object} - Role with level, skills and salaryInr for that level
+ */
+function resolveRoleLevel(role, level) {
+    const levels = role.levels || {};
+    const selected = level && levels[level];
+
+    if (selected) {
+        return {
+            ...role,
+            level,
+            skills: selected.skills || role.skills,
+            salaryInr: selected.salaryInr || null
+        };
+    }
+
+    const ranges = ROLE_LEVELS.map(name => levels[name] && levels[name].salaryInr).filter(Boolean);
+    return {
+        ...role,
+        level: null,
+        salaryInr: ranges.length > 0
+            ? { min: Math.min(...ranges.map(r => r.min)), max: Math.max(...ranges.map(r => r.max)) }
+            : null
+    };
+}
+
+function validateSkillList(skills, path, errors) {
+    if (!Array.isArray(skills) || skills.length === 0) {
+        errors.push(`${path} must be a non-empty array`);
+        return;
+    }
+    skills.forEach((skill, index) => {
+        if (!skill || typeof skill.name !== 'string' || !skill.name.trim()) {
+            errors.push(`${path}[${index}].name is required`);
+        }
+        if (skill && skill.weight !== undefined && (typeof skill.weight !== 'number' || skill.weight <= 0 || skill.weight > 1)) {
+            errors.push(`${path}[${index}].weight must be a number in (0, 1]`);
+        }
+        if (skill && skill.level !== undefined && !(Number.isInteger(skill.level) && skill.level >= 1 && skill.level <= 5)) {
+            errors.push(`${path}[${index}].level must be a whole number from 1 to 5`);
+        }
+    });
+}
+
+// level (1-5) is the proficiency the role expects; without it, intermediate
+function normalizeSkillList(skills) {
+    return skills.map(skill => {
+        const normalized = {
+            name: skill.name.trim().toLowerCase(),
+            weight: skill.weight === undefined ? 1.0 : skill.weight
+        };
+        if (skill.level !== undefined) normalized.level = skill.level;
+        return normalized;
+    });
+}
+
+/**
+ * Validate and normalize a role sent to the admin API
+ * @param {Object} body - Role fields (roleId comes from the URL)
+ * @param {string} roleId - Role id
+ * @returns {Object} - Normalized role
+ */
+function validateRole(body, roleId) {
+    const errors = [];
+
+    if (!ROLE_ID_PATTERN.test(roleId || '')) {
+        errors.push('roleId must be 2-64 lowercase letters, digits or underscores');
+    }
+    if (!body || typeof body !== 'object') {
+        throw new ApiError(400, 'Invalid role', { details: ['role must be an object'] });
+    }
+    if (typeof body.title !== 'string' || body.title.trim().length < 2) {
+        errors.push('title must be at least 2 characters long');
+    }
+    if (typeof body.sector !== 'string' || !body.sector.trim()) {
+        errors.push('sector is required');
+    }
+    validateSkillList(body.skills, 'skills', errors);
+    if (body.description !== undefined && typeof body.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    if (body.tags !== undefined &&
+        (!body.tags || typeof body.tags !== 'object' || Array.isArray(body.tags) ||
+         Object.values(body.tags).some(weight => typeof weight !== 'number' || weight <= 0 || weight > 1))) {
+        errors.push('tags must map tag names to weights in (0, 1]');
+    }
+    if (body.educationPaths !== undefined &&
+        (!Array.isArray(body.educationPaths) || body.educationPaths.some(path => typeof path !== 'string' || !path.trim()))) {
+        errors.push('educationPaths must be an array of non-empty strings');
+    }
+    if (body.levels !== undefined) {
+        if (!body.levels || typeof body.levels !== 'object' || Array.isArray(body.levels)) {
+            errors.push('levels must be an object');
+        } else {
+            Object.entries(body.levels).forEach(([level, value]) => {
+                if (!ROLE_LEVELS.includes(level)) {
+                    errors.push(`levels.${level} is not one of: ${ROLE_LEVELS.join(', ')}`);
+                    return;
+                }
+                validateSkillList(value && value.skills, `levels.${level}.skills`, errors);
+                const salary = value && value.salaryInr;
+                if (salary !== undefined &&
+                    (!salary || typeof salary.min !== 'number' || typeof salary.max !== 'number' || salary.min < 0 || salary.min > salary.max)) {
+                    errors.push(`levels.${level}.salaryInr must have numbers min <= max`);
+                }
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, 'Invalid role', { details: errors });
+    }
+
+    // Only the validated fields are kept; anything else in the body is dropped
+    const role = {
+        roleId,
+        title: body.title.trim(),
+        sector: body.sector.trim(),
+        skills: normalizeSkillList(body.skills)
+    };
+    if (typeof body.description === 'string') role.description = body.description.trim();
+    if (body.educationPaths) role.educationPaths = body.educationPaths.map(path => path.trim());
+    if (body.tags) {
+        role.tags = {};
+        Object.entries(body.tags).forEach(([tag, weight]) => {
+            role.tags[tag.trim().toLowerCase()] = weight;
+        });
+    }
+    if (body.levels) {
+        role.levels = {};
+        Object.entries(body.levels).forEach(([level, value]) => {
+            role.levels[level] = { skills: normalizeSkillList(value.skills) };
+            if (value.salaryInr) role.levels[level].salaryInr = { min: value.salaryInr.min, max: value.salaryInr.max };
+        });
+    }
+    return role;
+}
+
+/**
+ * Create, replace or delete a role and bump the catalog version
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {string} roleId - Role id
+ * @param {Object|null} role - Normalized role (ignored for delete)
+ * @param {string} uid - Admin making the change
+ * @returns {Promise<number>} - New catalog version
+ */
+async function writeRole(action, roleId, role, uid) {
+    const { db, roles, meta } = catalogRefs();
+    const roleRef = roles.doc(roleId);
+
+    const version = await db.runTransaction(async transaction => {
+        const [roleSnap, metaSnap] = await Promise.all([transaction.get(roleRef), transaction.get(meta)]);
+
+        if (action === 'create' && roleSnap.exists) {
+            throw new ApiError(409, 'Role already exists');
+        }
+        if (action !== 'create' && !roleSnap.exists) {
+            throw new ApiError(404, 'Role not found');
+        }
+
+        const nextVersion = (metaSnap.exists ? metaSnap.data().version || 0 : 0) + 1;
+        const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+        if (action === 'delete') {
+            transaction.delete(roleRef);
+        } else {
+            transaction.set(roleRef, { ...role, version: nextVersion, updatedAt, updatedBy: uid });
+        }
+        transaction.set(meta, { version: nextVersion, updatedAt, updatedBy: uid });
+        return nextVersion;
+    });
+
+    invalidateRolesCache();
+    return version;
+}
+
+/**
+ * Import roles into Firestore (used by seed_roles.js)
+ * @param {Object} roles - Roles keyed by roleId, as under `roles` in roles.json
+ * @param {Object} options - overwrite replaces roles that already exist;
+ *   baseVersion is the lowest catalog version to write (the roles.json version)
+ * @returns {Promise<Object>} - { written, skipped, version }
+ */
+async function seedRoles(roles, { overwrite = false, baseVersion = 0 } = {}) {
+    const { db, roles: collection, meta } = catalogRefs();
+    const existing = new Set((await collection.get()).docs.map(doc => doc.id));
+    const metaSnap = await meta.get();
+    const currentVersion = metaSnap.exists ? metaSnap.data().version || 0 : 0;
+    const version = Math.max(currentVersion + 1, baseVersion);
+    const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    const batch = db.batch();
+    const written = [];
+    const skipped = [];
+    Object.values(roles).forEach(role => {
+        if (existing.has(role.roleId) && !overwrite) {
+            skipped.push(role.roleId);
+            return;
+        }
+        batch.set(collection.doc(role.roleId), { ...role, version, updatedAt, updatedBy: 'seed' });
+        written.push(role.roleId);
+    });
+    if (written.length > 0) {
+        batch.set(meta, { version, updatedAt, updatedBy: 'seed' });
+    }
+    await batch.commit();
+
+    invalidateRolesCache();
+    return { written, skipped, version: written.length > 0 ? version : currentVersion };
+}
+
+module.exports = {
+    ROLE_LEVELS,
+    BUNDLED_ROLES_VERSION,
+    getRoles,
+    resolveRoleLevel,
+    invalidateRolesCache,
+    validateRole,
+    writeRole,
+    seedRoles
+};
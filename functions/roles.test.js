@@ -0,0 +1,206 @@
+// Basic unit tests for roles.js
+
+const { validateRole, resolveRoleLevel } = require('./roles');
+const bundledRoles = require('./roles.json').roles;
+
+// Mock test data
+function createMockRole() {
+    return {
+        title: ' Data Analyst ',
+        sector: 'Technology',
+        description: ' Turns data into decisions. ',
+        skills: [{ name: ' SQL ', weight: 1 }, { name: 'Excel' }],
+        tags: { Data: 1, analytics: 0.5 },
+        educationPaths: [' B.Sc. Statistics ']
+    };
+}
+
+// Resolve to the details of the ApiError validateRole throws, or null if it passes
+function validationErrors(body, roleId = 'data_analyst') {
+    try {
+        validateRole(body, roleId);
+        return null;
+    } catch (error) {
+        return error.status === 400 ? error.details : [`unexpected ${error.status}: ${error.message}`];
+    }
+}
+
+// Test validateRole with well-formed roles
+function testValidateRole() {
+    console.log('Testing validateRole...');
+
+    const role = validateRole(createMockRole(), 'data_analyst');
+    const passed = role.roleId === 'data_analyst' &&
+                   role.title === 'Data Analyst' &&
+                   role.description === 'Turns data into decisions.' &&
+                   JSON.stringify(role.skills) === '[{"name":"sql","weight":1},{"name":"excel","weight":1}]' &&
+                   JSON.stringify(role.tags) === '{"data":1,"analytics":0.5}' &&
+                   JSON.stringify(role.educationPaths) === '["B.Sc. Statistics"]';
+    console.log(`  validateRole (normalized): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const invalidBundled = Object.entries(bundledRoles)
+        .filter(([roleId, bundled]) => validationErrors(bundled, roleId) !== null)
+        .map(([roleId]) => roleId);
+    const passed2 = invalidBundled.length === 0;
+    console.log(`  validateRole (bundled roles.json): ${passed2 ? 'PASS' : `FAIL ${invalidBundled.join(', ')}`}`);
+
+    // Fields outside the role shape never reach Firestore
+    const extra = validateRole({
+        ...createMockRole(),
+        roleId: 'other_role',
+        isAdmin: true,
+        version: 99,
+        levels: { entry: { skills: [{ name: 'sql' }], salaryInr: { min: 1, max: 2, bonus: 3 }, note: 'x' } }
+    }, 'data_analyst');
+    const passed3 = extra.roleId === 'data_analyst' &&
+                    JSON.stringify(Object.keys(extra).sort()) === '["description","educationPaths","levels","roleId","sector","skills","tags","title"]' &&
+                    JSON.stringify(extra.levels.entry) === '{"skills":[{"name":"sql","weight":1}],"salaryInr":{"min":1,"max":2}}';
+    console.log(`  validateRole (drops unknown fields): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Test validateRole with malformed roles
+function testValidateRoleRejects() {
+    console.log('Testing validateRole rejections...');
+
+    const cases = [
+        ['bad roleId', createMockRole(), 'Data Analyst!', 'roleId must be 2-64 lowercase letters, digits or underscores'],
+        ['missing title', { ...createMockRole(), title: ' ' }, 'data_analyst', 'title must be at least 2 characters long'],
+        ['missing sector', { ...createMockRole(), sector: undefined }, 'data_analyst', 'sector is required'],
+        ['empty skills', { ...createMockRole(), skills: [] }, 'data_analyst', 'skills must be a non-empty array'],
+        ['unnamed skill', { ...createMockRole(), skills: [{ weight: 0.5 }] }, 'data_analyst', 'skills[0].name is required'],
+        ['skill weight', { ...createMockRole(), skills: [{ name: 'sql', weight: 2 }] }, 'data_analyst', 'skills[0].weight must be a number in (0, 1]'],
+        ['skill level', { ...createMockRole(), skills: [{ name: 'sql', level: 6 }] }, 'data_analyst', 'skills[0].level must be a whole number from 1 to 5'],
+        ['tag weight', { ...createMockRole(), tags: { data: 0 } }, 'data_analyst', 'tags must map tag names to weights in (0, 1]'],
+        ['education paths', { ...createMockRole(), educationPaths: 'B.Tech' }, 'data_analyst', 'educationPaths must be an array of non-empty strings'],
+        ['description', { ...createMockRole(), description: 42 }, 'data_analyst', 'description must be a string'],
+        ['not an object', null, 'data_analyst', 'role must be an object']
+    ];
+
+    let passed = true;
+    cases.forEach(([name, body, roleId, expected]) => {
+        const errors = validationErrors(body, roleId);
+        const ok = Array.isArray(errors) && errors.includes(expected);
+        if (!ok) {
+            console.log(`    Case "${name}" FAILED: expected "${expected}", got ${JSON.stringify(errors)}`);
+            passed = false;
+        }
+    });
+    console.log(`  validateRole (malformed roles): ${passed ? 'PASS' : 'FAIL'}`);
+
+    return passed;
+}
+
+// Test level validation
+function testValidateRoleLevels() {
+    console.log('Testing validateRole levels...');
+
+    const role = validateRole({
+        ...createMockRole(),
+        levels: { senior: { skills: [{ name: 'SQL', weight: 0.8, level: 4 }], salaryInr: { min: 300000, max: 600000 } } }
+    }, 'data_analyst');
+    const passed = JSON.stringify(role.levels.senior.skills) === '[{"name":"sql","weight":0.8,"level":4}]' &&
+                   role.levels.senior.salaryInr.max === 600000;
+    console.log(`  validateRole (levels normalized): ${passed ? 'PASS' : 'FAIL'}`);
+
+    const cases = [
+        ['unknown level', { principal: { skills: [{ name: 'sql' }] } }, 'levels.principal is not one of: entry, mid, senior'],
+        ['level without skills', { mid: { salaryInr: { min: 1, max: 2 } } }, 'levels.mid.skills must be a non-empty array'],
+        ['salary range', { senior: { skills: [{ name: 'sql' }], salaryInr: { min: 900000, max: 500000 } } }, 'levels.senior.salaryInr must have numbers min <= max'],
+        ['not an object', ['entry'], 'levels must be an object']
+    ];
+
+    let passed2 = true;
+    cases.forEach(([name, levels, expected]) => {
+        const errors = validationErrors({ ...createMockRole(), levels });
+        if (!Array.isArray(errors) || !errors.includes(expected)) {
+            console.log(`    Case "${name}" FAILED: expected "${expected}", got ${JSON.stringify(errors)}`);
+            passed2 = false;
+        }
+    });
+    console.log(`  validateRole (malformed levels): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2;
+}
+
+// Test resolveRoleLevel function
+function testResolveRoleLevel() {
+    console.log('Testing resolveRoleLevel...');
+
+    const role = {
+        roleId: 'data_analyst',
+        skills: [{ name: 'sql', weight: 1 }],
+        levels: {
+            entry: { skills: [{ name: 'excel', weight: 1 }], salaryInr: { min: 300000, max: 600000 } },
+            senior: { skills: [{ name: 'statistics', weight: 1 }], salaryInr: { min: 1500000, max: 3000000 } }
+        }
+    };
+
+    const entry = resolveRoleLevel(role, 'entry');
+    const passed = entry.level === 'entry' && entry.skills[0].name === 'excel' && entry.salaryInr.max === 600000;
+    console.log(`  resolveRoleLevel (defined level): ${passed ? 'PASS' : 'FAIL'}`);
+
+    // A level the role does not define falls back to the general view
+    const mid = resolveRoleLevel(role, 'mid');
+    const general = resolveRoleLevel(role, null);
+    const passed2 = [mid, general].every(view =>
+        view.level === null && view.skills[0].name === 'sql' &&
+        view.salaryInr.min === 300000 && view.salaryInr.max === 3000000);
+    console.log(`  resolveRoleLevel (fallback): ${passed2 ? 'PASS' : 'FAIL'}`);
+
+    const noLevels = resolveRoleLevel({ roleId: 'x', skills: role.skills }, 'senior');
+    const passed3 = noLevels.level === null && noLevels.salaryInr === null && noLevels.skills === role.skills;
+    console.log(`  resolveRoleLevel (no levels): ${passed3 ? 'PASS' : 'FAIL'}`);
+
+    return passed && passed2 && passed3;
+}
+
+// Run all tests
+function runAllTests() {
+    console.log('Running roles tests...\n');
+
+    const tests = [
+        testValidateRole,
+        testValidateRoleRejects,
+        testValidateRoleLevels,
+        testResolveRoleLevel
+    ];
+
+    let passedTests = 0;
+    let totalTests = tests.length;
+
+    for (const test of tests) {
+        try {
+            if (test()) {
+                passedTests++;
+            }
+        } catch (error) {
+            console.log(`  ${test.name}: FAILED with error: ${error.message}`);
+        }
+    }
+
+    console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log('❌ Some tests failed. Please check the output above.');
+    }
+
+    return passedTests === totalTests;
+}
+
+// Export for use in other test files
+module.exports = {
+    runAllTests,
+    testValidateRole,
+    testValidateRoleRejects,
+    testValidateRoleLevels,
+    testResolveRoleLevel
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runAllTests();
+}
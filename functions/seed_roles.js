@@ -0,0 +1,30 @@
+// Import the bundled roles.json into the Firestore `roles` collection
+//
+// Usage: npm run seed:roles [-- --overwrite]
+// Uses application default credentials, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set. Existing roles are skipped unless
+// --overwrite is passed.
+const admin = require('firebase-admin');
+require('dotenv').config();
+
+admin.initializeApp();
+
+const { seedRoles } = require('./roles');
+const { roles, version } = require('./roles.json');
+
+async function main() {
+    const overwrite = process.argv.includes('--overwrite');
+    const result = await seedRoles(roles, { overwrite, baseVersion: version });
+
+    console.log(`Seeded ${result.written.length} roles (catalog version ${result.version})`);
+    if (result.skipped.length > 0) {
+        console.log(`Skipped existing roles: ${result.skipped.join(', ')} (use --overwrite to replace them)`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Seeding roles failed:', error);
+        process.exit(1);
+    });
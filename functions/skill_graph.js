@@ -0,0 +1,104 @@
+// Skill graph: parent/child, prerequisite and related edges between skills
+//
+// Skills the user has give partial credit toward nearby role skills, and gap
+// skills are ordered so the ones closest to what the user already knows (and
+// whose prerequisites they have) come first. Names are canonical skill names.
+const graph = require('./skill_graph.json');
+
+const SKILL_GRAPH_VERSION = graph.version;
+
+// Credit a user skill gives toward a role skill, by how the two are related
+// (child: the user knows a specialization of the role skill, e.g. pandas → python)
+const EDGE_CREDIT = {
+    child: 0.6,
+    parent: 0.4,
+    related: 0.3,
+    prerequisite: 0.2
+};
+
+// Role skill → [{ from, relation }] for every user skill that earns credit toward it
+const incoming = new Map();
+
+function addEdge(to, from, relation) {
+    if (to === from) return;
+    if (!incoming.has(to)) incoming.set(to, []);
+    incoming.get(to).push({ from, relation });
+}
+
+Object.entries(graph.skills).forEach(([skill, node]) => {
+    (node.parents || []).forEach(parent => {
+        addEdge(parent, skill, 'child');
+        addEdge(skill, parent, 'parent');
+    });
+    (node.prerequisites || []).forEach(prerequisite => addEdge(skill, prerequisite, 'prerequisite'));
+    (node.related || []).forEach(related => {
+        addEdge(skill, related, 'related');
+        addEdge(related, skill, 'related');
+    });
+});
+
+/**
+ * Prerequisites of a skill from the graph
+ * @param {string} skill - Canonical skill name
+ * @returns {Array} - Canonical names of its prerequisites
+ */
+function getPrerequisites(skill) {
+    const node = graph.skills[skill];
+    return node ? node.prerequisites || [] : [];
+}
+
+/**
+ * Best partial credit the user's skills give toward a skill they do not have
+ * @param {string} skill - Canonical role skill name
+ * @param {Object} userSkills - Skill name to proficiency between 0 and 1 (see normalizeSkills)
+ * @returns {Object|null} - { credit, from, relation }, or null when no user skill is related
+ */
+function getSkillCredit(skill, userSkills) {
+    let best = null;
+    (incoming.get(skill) || []).forEach(({ from, relation }) => {
+        const proficiency = userSkills[from] || 0;
+        const credit = EDGE_CREDIT[relation] * proficiency;
+        if (credit > 0 && (!best || credit > best.credit)) {
+            best = { credit, from, relation };
+        }
+    });
+    return best;
+}
+
+/**
+ * Order gap skills by how easily the user can learn them
+ * A skill scores higher the more of its prerequisites the user has and the
+ * closer it is to their existing skills. A gap skill is never placed before
+ * another gap skill that is its prerequisite. Ties keep the input order.
+ * @param {Array} gapSkills - Canonical gap skill names, in role weight order
+ * @param {Object} userSkills - Skill name to proficiency between 0 and 1 (see normalizeSkills)
+ * @returns {Array} - The same skills, most learnable first
+ */
+function orderByLearnability(gapSkills, userSkills) {
+    const remaining = gapSkills.map((skill, index) => {
+        const prerequisites = getPrerequisites(skill);
+        const readiness = prerequisites.length > 0
+            ? prerequisites.filter(name => userSkills[name]).length / prerequisites.length
+            : 1;
+        const credit = getSkillCredit(skill, userSkills);
+        return { skill, index, prerequisites, score: readiness + (credit ? credit.credit : 0) };
+    });
+    remaining.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const ordered = [];
+    while (remaining.length > 0) {
+        const pending = new Set(remaining.map(item => item.skill));
+        // Prerequisite cycles fall back to the best-scoring skill
+        const next = remaining.findIndex(item => !item.prerequisites.some(name => pending.has(name)));
+        ordered.push(remaining.splice(Math.max(next, 0), 1)[0].skill);
+    }
+    return ordered;
+}
+
+module.exports = {
+    SKILL_GRAPH_VERSION,
+    EDGE_CREDIT,
+    getPrerequisites,
+    getSkillCredit,
+    orderByLearnability
+};
@@ -0,0 +1,30 @@
+// Server-Sent Events helpers for the streaming recommendation endpoint
+
+/**
+ * Start a Server-Sent Events response
+ * The response's 'close' event marks a client disconnect; the request's
+ * 'close' fires as soon as its body has been read, so it cannot be used.
+ * @param {Object} res - Express response
+ * @returns {Function} - send(event, data); events after a disconnect are dropped
+ */
+function openEventStream(res) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        if (closed || res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+module.exports = {
+    openEventStream
+};
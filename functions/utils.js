@@ -1,9 +1,121 @@
 // Utility functions for GenSpark Career Advisor
 const skillAliases = require('./skill_aliases.json');
+const interestTaxonomy = require('./interest_taxonomy.json');
+const bundledRoles = require('./roles.json').roles;
+const skillGraph = require('./skill_graph.json');
+const { getSkillCredit } = require('./skill_graph');
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('./i18n');
+
+const INTEREST_TAXONOMY_VERSION = interestTaxonomy.version;
+
+// Proficiency levels run from 1 (beginner) to 5 (advanced)
+const MAX_PROFICIENCY = 5;
+const PROFICIENCY_NAMES = {
+    beginner: 1,
+    basic: 1,
+    elementary: 2,
+    intermediate: 3,
+    proficient: 4,
+    advanced: 5,
+    expert: 5
+};
+// Level a role expects for a skill that does not give its own (intermediate)
+const DEFAULT_REQUIRED_PROFICIENCY = 3;
+
+/**
+ * Parse a proficiency given as a name, a 1-5 number or years of experience
+ * @param {string|number} value - e.g. 'advanced', 3, '4/5', '2 years'
+ * @returns {number|null} - Level from 1 to 5, or null when not recognised
+ */
+function parseProficiency(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.min(MAX_PROFICIENCY, Math.max(1, Math.round(value)));
+    }
+    if (typeof value !== 'string') return null;
+    
+    const text = value.trim().toLowerCase();
+    if (PROFICIENCY_NAMES[text]) return PROFICIENCY_NAMES[text];
+    
+    const years = text.match(/^(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?)$/);
+    if (years) {
+        const count = parseFloat(years[1]);
+        if (count < 1) return 1;
+        if (count < 2) return 2;
+        if (count < 3) return 3;
+        if (count < 5) return 4;
+        return 5;
+    }
+    
+    const level = text.match(/^(\d)(?:\s*\/\s*5)?$/);
+    return level ? parseProficiency(Number(level[1])) : null;
+}
+
+/**
+ * Split a profile skill into its canonical name and proficiency level
+ * Accepts 'python', 'python (advanced)', 'python (3)', 'python (2 years)'
+ * or { name: 'python', level: 'advanced' }.
+ * @param {string|Object} entry - Skill entry from a profile
+ * @returns {Object} - { name, level } where level is 1-5 or null when not given
+ */
+function parseSkillEntry(entry) {
+    if (entry && typeof entry === 'object') {
+        return {
+            name: canonicalizeSkillName(entry.name),
+            level: parseProficiency(entry.level)
+        };
+    }
+    if (typeof entry !== 'string') {
+        return { name: '', level: null };
+    }
+    
+    const match = entry.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+    const level = match ? parseProficiency(match[2]) : null;
+    return {
+        name: canonicalizeSkillName(match && level !== null ? match[1] : entry),
+        level
+    };
+}
+
+/**
+ * Proficiency a role expects for a skill: the skill's own `level` from the
+ * role data, else intermediate. A skill's weight is how much it matters to
+ * the role, not how well it must be known.
+ * @param {Object} skill - Role skill with name, weight and optional level
+ * @returns {number} - Required level from 1 to 5
+ */
+function requiredProficiency(skill) {
+    const level = skill && parseProficiency(skill.level);
+    return level || DEFAULT_REQUIRED_PROFICIENCY;
+}
+
+/**
+ * User skill vector with partial credit for role skills the user lacks
+ * A role skill the user does not have gets the best credit the skill graph
+ * gives from a related skill they do have (e.g. pandas toward python).
+ * @param {Object} normalizedUserSkills - Output of normalizeSkills
+ * @param {Object} roleSkillsVector - Canonical role skill name to weight
+ * @returns {Object} - { vector, credits } where credits maps role skill to { credit, from, relation }
+ */
+function applySkillCredit(normalizedUserSkills, roleSkillsVector) {
+    const vector = { ...normalizedUserSkills };
+    const credits = {};
+    Object.keys(roleSkillsVector).forEach(name => {
+        if (normalizedUserSkills[name]) return;
+        const credit = getSkillCredit(name, normalizedUserSkills);
+        if (credit) {
+            vector[name] = credit.credit;
+            credits[name] = credit;
+        }
+    });
+    return { vector, credits };
+}
 
 /**
  * Calculate cosine similarity between two skill vectors
- * @param {Array} userSkills - Array of user skill strings
+ * User skills with a proficiency below what the role expects earn only part
+ * of their weight. Skills without a proficiency count as fully proficient.
+ * Related skills earn partial credit through the skill graph.
+ * @param {Array} userSkills - Array of user skill entries (see parseSkillEntry)
  * @param {Array} roleSkills - Array of role skill objects with name and weight
  * @returns {number} - Similarity score between 0 and 1
  */
@@ -17,49 +129,246 @@ function calculateFitScore(userSkills, roleSkills) {
     
     // Create role skills vector
     const roleSkillsVector = {};
+    const requiredLevels = {};
     roleSkills.forEach(skill => {
         const canonical = canonicalizeSkillName(skill.name);
         roleSkillsVector[canonical] = skill.weight || 1.0;
+        requiredLevels[canonical] = requiredProficiency(skill);
     });
     
-    // Calculate cosine similarity
-    const similarity = cosineSimilarity(normalizedUserSkills, roleSkillsVector);
+    // Calculate cosine similarity, with partial credit from related skills
+    const { vector } = applySkillCredit(normalizedUserSkills, roleSkillsVector);
+    const similarity = cosineSimilarity(vector, roleSkillsVector);
+    
+    // Share of the matched role weight the user meets at the required level
+    let matchedWeight = 0;
+    let attainedWeight = 0;
+    Object.entries(roleSkillsVector).forEach(([name, weight]) => {
+        if (!normalizedUserSkills[name]) return;
+        const level = normalizedUserSkills[name] * MAX_PROFICIENCY;
+        matchedWeight += weight;
+        attainedWeight += weight * Math.min(1, level / requiredLevels[name]);
+    });
+    const attainment = matchedWeight > 0 ? attainedWeight / matchedWeight : 1;
     
     // Convert to percentage (0-100)
-    return Math.round(similarity * 100);
+    return Math.round(similarity * attainment * 100);
 }
 
 /**
  * Normalize user skills for comparison
- * @param {Array} skills - Array of skill strings
- * @returns {Object} - Normalized skills object
+ * @param {Array} skills - Array of skill entries (see parseSkillEntry)
+ * @returns {Object} - Skill name to proficiency between 0 and 1 (1.0 when no level is given)
  */
 function normalizeSkills(skills) {
     const normalized = {};
     
     skills.forEach(skill => {
-        const key = canonicalizeSkillName(skill);
-        if (key.length > 0) {
-            normalized[key] = 1.0;
+        const { name, level } = parseSkillEntry(skill);
+        if (name.length > 0) {
+            normalized[name] = level ? level / MAX_PROFICIENCY : 1.0;
         }
     });
     
     return normalized;
 }
 
+// Fuzzy matching only applies to names of at least this length; longer
+// names tolerate one more edit
+const FUZZY_MIN_LENGTH = 6;
+const FUZZY_LONG_LENGTH = 9;
+const FUZZY_MAX_LENGTH = 40;
+const FUZZY_CACHE_SIZE = 1000;
+
+function cleanSkillName(name) {
+    return name
+        .trim()
+        .toLowerCase()
+        .replace(/[^\/\w\s-]/g, '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Follow an alias chain (e.g. postgres → postgresql → sql) to its final name
+ * @param {string} name - Cleaned skill name
+ * @param {Object} aliases - Alias to target mapping
+ * @returns {string} - Final name in the chain (the name itself when not an alias)
+ * @throws {Error} - When the chain loops back on itself
+ */
+function resolveAliasChain(name, aliases = skillAliases) {
+    const chain = [name];
+    let current = name;
+    while (Object.prototype.hasOwnProperty.call(aliases, current) && aliases[current] !== current) {
+        current = aliases[current];
+        if (chain.includes(current)) {
+            throw new Error(`Skill alias cycle: ${[...chain, current].join(' → ')}`);
+        }
+        chain.push(current);
+    }
+    return current;
+}
+
+// Aliases resolved to the end of their chains; aliases in a cycle are ignored
+const resolvedAliases = {};
+Object.keys(skillAliases).forEach(alias => {
+    try {
+        resolvedAliases[alias] = resolveAliasChain(alias);
+    } catch (error) {
+        console.warn(`${error.message}; ignoring alias "${alias}"`);
+    }
+});
+
+function resolveAlias(cleaned) {
+    return Object.prototype.hasOwnProperty.call(resolvedAliases, cleaned) ? resolvedAliases[cleaned] : cleaned;
+}
+
+// Known skills: role skills from roles.json, skill graph nodes and alias targets
+const skillVocabulary = new Set();
+Object.values(bundledRoles).forEach(role => {
+    const skillLists = [role.skills || [], ...Object.values(role.levels || {}).map(level => level.skills || [])];
+    skillLists.forEach(skills => skills.forEach(skill => skillVocabulary.add(resolveAlias(cleanSkillName(skill.name)))));
+});
+Object.keys(skillGraph.skills).forEach(skill => skillVocabulary.add(resolveAlias(skill)));
+Object.values(resolvedAliases).forEach(skill => skillVocabulary.add(skill));
+
+// Cleaned spelling (vocabulary names and aliases) → canonical skill name
+const skillSpellings = new Map();
+skillVocabulary.forEach(skill => skillSpellings.set(cleanSkillName(skill), skill));
+Object.entries(resolvedAliases).forEach(([alias, skill]) => skillSpellings.set(alias, skill));
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits between the strings
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Edit distance from a partly typed name to the closest prefix of a spelling
+function prefixDistance(typed, spelling, maxDistance) {
+    let best = Infinity;
+    for (let length = typed.length - maxDistance; length <= typed.length + maxDistance; length++) {
+        if (length > 0 && length <= spelling.length) {
+            best = Math.min(best, editDistance(typed, spelling.slice(0, length)));
+        }
+    }
+    return best;
+}
+
+function maxFuzzyDistance(length) {
+    if (length < FUZZY_MIN_LENGTH || length > FUZZY_MAX_LENGTH) return 0;
+    return length >= FUZZY_LONG_LENGTH ? 2 : 1;
+}
+
+const fuzzyCache = new Map();
+
+// Closest known spelling within the allowed edit distance, when exactly one
+// canonical skill is closest
+function findFuzzySkill(cleaned) {
+    if (fuzzyCache.has(cleaned)) return fuzzyCache.get(cleaned);
+    
+    const maxDistance = maxFuzzyDistance(cleaned.length);
+    let best = null;
+    let ambiguous = false;
+    if (maxDistance > 0) {
+        skillSpellings.forEach((skill, spelling) => {
+            if (Math.abs(spelling.length - cleaned.length) > maxDistance) return;
+            const distance = editDistance(cleaned, spelling);
+            if (distance > maxDistance) return;
+            if (!best || distance < best.distance) {
+                best = { name: skill, spelling, distance };
+                ambiguous = false;
+            } else if (distance === best.distance && skill !== best.name) {
+                ambiguous = true;
+            }
+        });
+    }
+    
+    const match = best && !ambiguous ? best : null;
+    if (fuzzyCache.size >= FUZZY_CACHE_SIZE) fuzzyCache.clear();
+    fuzzyCache.set(cleaned, match);
+    return match;
+}
+
 /**
  * Canonicalize a skill name using alias mapping
+ * Aliases are followed to the end of their chain. Unknown names within a
+ * small edit distance of exactly one known skill (e.g. "pyhton") are
+ * corrected to it; anything else is returned cleaned but unchanged.
  * @param {string} name - Raw skill name
  * @returns {string} - Canonical skill name
  */
 function canonicalizeSkillName(name) {
     if (typeof name !== 'string') return '';
-    const cleaned = name
-        .trim()
-        .toLowerCase()
-        .replace(/[^\/\w\s-]/g, '')
-        .replace(/\s+/g, ' ');
-    return skillAliases[cleaned] || cleaned;
+    const cleaned = cleanSkillName(name);
+    if (skillSpellings.has(cleaned)) return skillSpellings.get(cleaned);
+    
+    const match = findFuzzySkill(cleaned);
+    return match ? match.name : cleaned;
+}
+
+/**
+ * Canonicalization suggestions for a partly typed skill, for autocomplete
+ * Matches are ranked exact, then prefix, then substring, then typo-tolerant
+ * prefix matches; each canonical skill appears once.
+ * @param {string} query - Text typed so far
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Object} - { canonical, known, suggestions: [{ name, match, alias }] }
+ */
+function suggestSkills(query, limit = 8) {
+    const cleaned = typeof query === 'string' ? cleanSkillName(query) : '';
+    const canonical = canonicalizeSkillName(cleaned);
+    if (!cleaned) {
+        return { canonical: '', known: false, suggestions: [] };
+    }
+    
+    const maxDistance = maxFuzzyDistance(cleaned.length);
+    const ranked = new Map();
+    skillSpellings.forEach((skill, spelling) => {
+        let rank = null;
+        let match = null;
+        if (spelling === cleaned) {
+            [rank, match] = [0, 'exact'];
+        } else if (spelling.startsWith(cleaned)) {
+            [rank, match] = [1, 'prefix'];
+        } else if (cleaned.length >= 2 && spelling.includes(cleaned)) {
+            [rank, match] = [2, 'contains'];
+        } else if (maxDistance > 0 && prefixDistance(cleaned, spelling, maxDistance) <= maxDistance) {
+            [rank, match] = [3, 'fuzzy'];
+        }
+        if (rank === null) return;
+        
+        const existing = ranked.get(skill);
+        if (existing && existing.rank <= rank) return;
+        const suggestion = { name: skill, match, rank };
+        if (spelling !== cleanSkillName(skill)) suggestion.alias = spelling;
+        ranked.set(skill, suggestion);
+    });
+    
+    const suggestions = [...ranked.values()]
+        .sort((a, b) => a.rank - b.rank || a.name.length - b.name.length || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map(({ rank, ...suggestion }) => suggestion);
+    
+    return { canonical, known: skillVocabulary.has(canonical), suggestions };
 }
 
 /**
@@ -107,7 +416,7 @@ function calculateOverlapRatio(userSkills, roleSkills) {
         return 0;
     }
     
-    const normalizedUserSkills = userSkills.map(s => canonicalizeSkillName(s));
+    const normalizedUserSkills = userSkills.map(s => parseSkillEntry(s).name);
     const normalizedRoleSkills = roleSkills.map(s => canonicalizeSkillName(s.name));
     
     const overlap = normalizedUserSkills.filter(skill => 
@@ -128,7 +437,7 @@ function calculateGapSkills(userSkills, roleSkills) {
         return [];
     }
     
-    const normalizedUserSkills = userSkills.map(s => canonicalizeSkillName(s));
+    const normalizedUserSkills = userSkills.map(s => parseSkillEntry(s).name);
     const normalizedRoleSkills = roleSkills.map(s => canonicalizeSkillName(s.name));
     
     return normalizedRoleSkills.filter(skill => 
@@ -138,7 +447,7 @@ function calculateGapSkills(userSkills, roleSkills) {
 
 /**
  * Calculate overlap skills (skills user already has)
- * @param {Array} userSkills - Array of user skill strings
+ * @param {Array} userSkills - Array of user skill entries
  * @param {Array} roleSkills - Array of role skill objects
  * @returns {Array} - Array of overlap skill names
  */
@@ -147,7 +456,7 @@ function calculateOverlapSkills(userSkills, roleSkills) {
         return [];
     }
     
-    const normalizedUserSkills = userSkills.map(s => canonicalizeSkillName(s));
+    const normalizedUserSkills = userSkills.map(s => parseSkillEntry(s).name);
     const normalizedRoleSkills = roleSkills.map(s => canonicalizeSkillName(s.name));
     
     return normalizedUserSkills.filter(skill => 
@@ -155,6 +464,107 @@ function calculateOverlapSkills(userSkills, roleSkills) {
     );
 }
 
+/**
+ * Skills the user has below the level the role expects
+ * @param {Array} userSkills - Array of user skill entries
+ * @param {Array} roleSkills - Array of role skill objects
+ * @returns {Array} - { name, level, requiredLevel } for each skill needing upskilling
+ */
+function calculateUpskillSkills(userSkills, roleSkills) {
+    if (!userSkills || !roleSkills) {
+        return [];
+    }
+    
+    const levels = {};
+    userSkills.forEach(skill => {
+        const { name, level } = parseSkillEntry(skill);
+        if (name && level) levels[name] = level;
+    });
+    
+    return roleSkills
+        .map(skill => ({
+            name: canonicalizeSkillName(skill.name),
+            requiredLevel: requiredProficiency(skill)
+        }))
+        .filter(skill => levels[skill.name] && levels[skill.name] < skill.requiredLevel)
+        .map(skill => ({ name: skill.name, level: levels[skill.name], requiredLevel: skill.requiredLevel }));
+}
+
+// Share of the enhanced fit score given to each component
+const SCORE_WEIGHTS = {
+    skills: 0.6,
+    overlap: 0.2,
+    interest: 0.2
+};
+
+function roundPoints(points) {
+    return Math.round(points * 10) / 10;
+}
+
+/**
+ * Enhanced fit score with the contribution of every component and role skill
+ * Matched skills split the skills component in proportion to their term of
+ * the cosine dot product, and the overlap component equally. Missing skills
+ * earn only the partial credit of a related skill (named in `credit`); their
+ * share of the role's skill weight shows what learning them would be worth.
+ * @param {Array} userSkills - Array of user skill entries (see parseSkillEntry)
+ * @param {Array} roleSkills - Array of role skill objects
+ * @param {Array} userInterests - Array of user interest strings
+ * @param {Object} role - Role object with tags (or sector and title)
+ * @returns {Object} - { score, components, skills } with points on the 0-100 scale
+ */
+function calculateFitBreakdown(userSkills, roleSkills, userInterests, role) {
+    const values = {
+        skills: calculateFitScore(userSkills, roleSkills) / 100,
+        overlap: calculateOverlapRatio(userSkills, roleSkills),
+        interest: calculateInterestMatch(userInterests, role)
+    };
+    
+    const components = {};
+    let total = 0;
+    Object.entries(SCORE_WEIGHTS).forEach(([name, weight]) => {
+        const points = values[name] * 100 * weight;
+        total += points;
+        components[name] = { value: Math.round(values[name] * 100) / 100, weight, points: roundPoints(points) };
+    });
+    
+    const normalizedUserSkills = userSkills && userSkills.length > 0 ? normalizeSkills(userSkills) : {};
+    const roleSkillList = (roleSkills || []).map(skill => ({
+        name: canonicalizeSkillName(skill.name),
+        weight: skill.weight || 1.0
+    }));
+    const roleSkillsVector = {};
+    roleSkillList.forEach(skill => {
+        roleSkillsVector[skill.name] = skill.weight;
+    });
+    const { vector, credits } = applySkillCredit(normalizedUserSkills, roleSkillsVector);
+    const totalWeight = roleSkillList.reduce((sum, skill) => sum + skill.weight, 0);
+    const dotProduct = roleSkillList.reduce((sum, skill) => sum + skill.weight * (vector[skill.name] || 0), 0);
+    const matchedCount = roleSkillList.filter(skill => normalizedUserSkills[skill.name]).length;
+    
+    const skills = roleSkillList.map(skill => {
+        const matched = Boolean(normalizedUserSkills[skill.name]);
+        const value = vector[skill.name] || 0;
+        let points = value > 0 ? components.skills.points * (skill.weight * value) / dotProduct : 0;
+        if (matched) {
+            points += components.overlap.points / matchedCount;
+        }
+        const entry = {
+            name: skill.name,
+            weight: skill.weight,
+            share: totalWeight > 0 ? Math.round(skill.weight / totalWeight * 100) / 100 : 0,
+            matched,
+            points: roundPoints(points)
+        };
+        if (credits[skill.name]) {
+            entry.credit = { from: credits[skill.name].from, relation: credits[skill.name].relation };
+        }
+        return entry;
+    });
+    
+    return { score: Math.round(total), components, skills };
+}
+
 /**
  * Enhanced fit score calculation combining multiple factors
  * @param {Array} userSkills - Array of user skill strings
@@ -164,22 +574,68 @@ function calculateOverlapSkills(userSkills, roleSkills) {
  * @returns {number} - Enhanced fit score between 0 and 100
  */
 function calculateEnhancedFitScore(userSkills, roleSkills, userInterests, role) {
-    // Skills similarity (60% weight)
-    const skillsScore = calculateFitScore(userSkills, roleSkills) * 0.6;
-    
-    // Overlap ratio (20% weight)
-    const overlapScore = calculateOverlapRatio(userSkills, roleSkills) * 100 * 0.2;
+    return calculateFitBreakdown(userSkills, roleSkills, userInterests, role).score;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Resolve an interest (checkbox value or free text) to weighted role tags
+ * Taxonomy keys and aliases match exactly or as whole words inside free
+ * text ("building ml models" → ai). Unknown interests are used as a tag name.
+ * @param {string} interest - User interest
+ * @returns {Object} - Tag name to weight between 0 and 1
+ */
+function resolveInterestTags(interest) {
+    const text = typeof interest === 'string' ? interest.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    if (!text) return {};
+    
+    const entries = interestTaxonomy.interests;
+    if (entries[text]) return { ...entries[text].tags };
+    
+    const tags = {};
+    Object.entries(entries).forEach(([key, entry]) => {
+        const terms = [key, ...(entry.aliases || [])];
+        const matches = terms.some(term => term === text ||
+            new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}([^a-z0-9]|$)`).test(text));
+        if (!matches) return;
+        Object.entries(entry.tags).forEach(([tag, weight]) => {
+            tags[tag] = Math.max(tags[tag] || 0, weight);
+        });
+    });
     
-    // Interest match (20% weight)
-    const interestScore = calculateInterestMatch(userInterests, role) * 100 * 0.2;
+    if (Object.keys(tags).length === 0) {
+        tags[text] = 1.0;
+    }
+    return tags;
+}
+
+/**
+ * Weighted tags describing a role
+ * Roles without tags fall back to the words of their sector and title at half weight.
+ * @param {Object} role - Role object
+ * @returns {Object} - Tag name to weight between 0 and 1
+ */
+function getRoleTags(role) {
+    if (role.tags && typeof role.tags === 'object') {
+        return role.tags;
+    }
     
-    return Math.round(skillsScore + overlapScore + interestScore);
+    const tags = {};
+    `${role.sector || ''} ${role.title || ''}`.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach(word => {
+        tags[word] = 0.5;
+    });
+    return tags;
 }
 
 /**
  * Calculate interest match between user interests and role
+ * Each interest scores the strongest product of its tag weight and the role's
+ * weight for that tag; the role gets the best score over all interests.
  * @param {Array} userInterests - Array of user interest strings
- * @param {Object} role - Role object with sector and title
+ * @param {Object} role - Role object with tags (or sector and title)
  * @returns {number} - Interest match score between 0 and 1
  */
 function calculateInterestMatch(userInterests, role) {
@@ -187,15 +643,16 @@ function calculateInterestMatch(userInterests, role) {
         return 0;
     }
     
-    const normalizedInterests = userInterests.map(i => i.toLowerCase().trim());
-    const roleText = `${role.sector} ${role.title}`.toLowerCase();
+    const roleTags = getRoleTags(role);
+    let best = 0;
     
-    // Check if any user interest appears in role description
-    const hasMatch = normalizedInterests.some(interest => 
-        roleText.includes(interest)
-    );
+    userInterests.forEach(interest => {
+        Object.entries(resolveInterestTags(interest)).forEach(([tag, weight]) => {
+            best = Math.max(best, weight * (roleTags[tag] || 0));
+        });
+    });
     
-    return hasMatch ? 1 : 0;
+    return best;
 }
 
 /**
@@ -254,9 +711,8 @@ function validateAndCleanProfile(profile) {
     }
     
     // Validate language
-    const validLanguage = ['en', 'hi'];
-    if (!validLanguage.includes(cleaned.language)) {
-        cleaned.language = 'en';
+    if (!isSupportedLanguage(cleaned.language)) {
+        cleaned.language = DEFAULT_LANGUAGE;
     }
     
     return cleaned;
@@ -301,6 +757,40 @@ function generateSkillRecommendations(userSkills, roles) {
         .slice(0, 10);
 }
 
+/**
+ * Map over items with at most `limit` calls of `fn` in flight
+ * Results keep the input order. Stops scheduling new items after the first rejection.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+    
+    async function worker() {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    }
+    
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    return results;
+}
+
 // Export all utility functions
 module.exports = {
     calculateFitScore,
@@ -309,10 +799,23 @@ module.exports = {
     calculateOverlapRatio,
     calculateGapSkills,
     calculateOverlapSkills,
+    calculateUpskillSkills,
+    SCORE_WEIGHTS,
+    calculateFitBreakdown,
     calculateEnhancedFitScore,
     calculateInterestMatch,
+    INTEREST_TAXONOMY_VERSION,
+    resolveInterestTags,
+    getRoleTags,
     sanitizeSkill,
     validateAndCleanProfile,
     generateSkillRecommendations,
-    canonicalizeSkillName
+    canonicalizeSkillName,
+    resolveAliasChain,
+    editDistance,
+    suggestSkills,
+    parseProficiency,
+    parseSkillEntry,
+    requiredProficiency,
+    mapWithConcurrency
 };
@@ -7,9 +7,21 @@ const {
     calculateOverlapRatio,
     calculateGapSkills,
     calculateOverlapSkills,
+    calculateUpskillSkills,
+    calculateFitBreakdown,
+    calculateEnhancedFitScore,
+    calculateInterestMatch,
+    resolveInterestTags,
+    parseSkillEntry,
+    canonicalizeSkillName,
+    resolveAliasChain,
+    editDistance,
+    suggestSkills,
     sanitizeSkill,
-    validateAndCleanProfile
+    validateAndCleanProfile,
+    mapWithConcurrency
 } = require('./utils');
+const { EDGE_CREDIT, getSkillCredit, orderByLearnability } = require('./skill_graph');
 
 // Mock test data
 const mockUserSkills = ['python', 'sql', 'excel'];
@@ -111,6 +123,168 @@ function testCalculateOverlapSkills() {
     return passed;
 }
 
+// Test skill proficiency parsing and scoring
+function testSkillProficiency() {
+    console.log('Testing skill proficiency...');
+    
+    const entries = ['Python (advanced)', 'sql (2 years)', 'excel (3/5)', { name: 'ML', level: 'beginner' }, 'tableau'];
+    const parsed = entries.map(parseSkillEntry);
+    const passed = JSON.stringify(parsed) === JSON.stringify([
+        { name: 'python', level: 5 },
+        { name: 'sql', level: 3 },
+        { name: 'excel', level: 3 },
+        { name: 'machine learning', level: 1 },
+        { name: 'tableau', level: null }
+    ]);
+    console.log(`  parseSkillEntry: ${passed ? 'PASS' : 'FAIL'}`);
+    
+    // Skills without a level score exactly as before; weaker levels score lower
+    const unlevelled = calculateFitScore(mockUserSkills, mockRoleSkills);
+    const advanced = calculateFitScore(['python (advanced)', 'sql (advanced)', 'excel (advanced)'], mockRoleSkills);
+    const beginner = calculateFitScore(['python (beginner)', 'sql (beginner)', 'excel'], mockRoleSkills);
+    const passed2 = advanced === unlevelled && beginner < unlevelled;
+    console.log(`  calculateFitScore (levels): ${passed2 ? 'PASS' : 'FAIL'} (${unlevelled}, ${advanced}, ${beginner})`);
+    
+    // Required levels come from the role data, not the weight; intermediate by default
+    const upskill = calculateUpskillSkills(['python (beginner)', 'sql (3)', 'statistics (4)', 'excel (1)'], mockRoleSkills);
+    const passed3 = JSON.stringify(upskill) === JSON.stringify([{ name: 'python', level: 1, requiredLevel: 3 }]);
+    console.log(`  calculateUpskillSkills (default level): ${passed3 ? 'PASS' : 'FAIL'}`);
+    
+    const seniorSkills = [{ name: 'python', weight: 1.0, level: 4 }, { name: 'sql', weight: 0.5, level: 'advanced' }];
+    const senior = calculateUpskillSkills(['python (3)', 'sql (4)'], seniorSkills);
+    const passed4 = JSON.stringify(senior) === JSON.stringify([
+        { name: 'python', level: 3, requiredLevel: 4 },
+        { name: 'sql', level: 4, requiredLevel: 5 }
+    ]);
+    console.log(`  calculateUpskillSkills (role levels): ${passed4 ? 'PASS' : 'FAIL'}`);
+    
+    // Meeting the required level earns the full weight
+    const passed5 = calculateFitScore(['python (3)', 'sql (3)'], mockRoleSkills) ===
+                    calculateFitScore(['python', 'sql'], mockRoleSkills);
+    console.log(`  calculateFitScore (required level met): ${passed5 ? 'PASS' : 'FAIL'}`);
+    
+    return passed && passed2 && passed3 && passed4 && passed5;
+}
+
+// Test calculateInterestMatch function
+function testCalculateInterestMatch() {
+    console.log('Testing calculateInterestMatch...');
+    
+    const designer = { title: 'UI/UX Designer', sector: 'Design & UX', tags: { design: 1.0, ux: 1.0, frontend: 0.4 } };
+    const marketer = { title: 'Email Marketing Specialist', sector: 'Digital Marketing' };
+    const fullstack = { title: 'Full Stack Developer', sector: 'Technology', tags: { web: 1.0, frontend: 1.0 } };
+    
+    // "ai" must not match "Email"; "design" must reach the designer role
+    const passed = calculateInterestMatch(['ai'], marketer) === 0 &&
+                   calculateInterestMatch(['design'], designer) === 1;
+    console.log(`  calculateInterestMatch (taxonomy): ${passed ? 'PASS' : 'FAIL'}`);
+    
+    // Graded: design is related to frontend work, but less than to UX
+    const partial = calculateInterestMatch(['design'], fullstack);
+    const passed2 = partial > 0 && partial < 1;
+    console.log(`  calculateInterestMatch (graded): ${passed2 ? 'PASS' : 'FAIL'} (${partial})`);
+    
+    // Free text resolves through aliases; untagged roles fall back to title words
+    const passed3 = resolveInterestTags('I enjoy building ML models').ai === 1.0 &&
+                    calculateInterestMatch(['marketing'], { title: 'Marketing Lead', sector: 'Business' }) === 0.5;
+    console.log(`  calculateInterestMatch (free text): ${passed3 ? 'PASS' : 'FAIL'}`);
+    
+    return passed && passed2 && passed3;
+}
+
+// Test calculateFitBreakdown function
+function testCalculateFitBreakdown() {
+    console.log('Testing calculateFitBreakdown...');
+    
+    const role = { title: 'Data Analyst', sector: 'Analytics', tags: { data: 1.0 } };
+    const breakdown = calculateFitBreakdown(mockUserSkills, mockRoleSkills, ['data'], role);
+    const { skills, overlap, interest } = breakdown.components;
+    
+    const passed = breakdown.score === calculateEnhancedFitScore(mockUserSkills, mockRoleSkills, ['data'], role) &&
+                   Math.abs(skills.points + overlap.points + interest.points - breakdown.score) < 0.5 &&
+                   overlap.value === 0.5 && interest.points === 20;
+    console.log(`  calculateFitBreakdown (components): ${passed ? 'PASS' : 'FAIL'} (score: ${breakdown.score})`);
+    
+    // Role skills account for the skills and overlap points; missing ones only
+    // earn partial credit through a related skill (tableau from excel)
+    const python = breakdown.skills.find(skill => skill.name === 'python');
+    const statistics = breakdown.skills.find(skill => skill.name === 'statistics');
+    const tableau = breakdown.skills.find(skill => skill.name === 'tableau');
+    const skillPoints = breakdown.skills.reduce((sum, skill) => sum + skill.points, 0);
+    const passed2 = breakdown.skills.length === 4 &&
+                    python.matched && python.points > 0 && python.weight === 1.0 &&
+                    !statistics.matched && statistics.points === 0 && statistics.share === 0.24 &&
+                    !tableau.matched && tableau.points > 0 && tableau.credit.from === 'excel' &&
+                    Math.abs(skillPoints - skills.points - overlap.points) < 0.5;
+    console.log(`  calculateFitBreakdown (skills): ${passed2 ? 'PASS' : 'FAIL'}`);
+    
+    return passed && passed2;
+}
+
+// Test skill graph partial credit and gap ordering
+function testSkillGraph() {
+    console.log('Testing skill graph...');
+    
+    // Knowing pandas earns credit toward python, but less than knowing python
+    const roleSkills = [{ name: 'python', weight: 1.0 }];
+    const fromPandas = calculateFitScore(['pandas'], roleSkills);
+    const fromPython = calculateFitScore(['python'], roleSkills);
+    const fromCooking = calculateFitScore(['cooking'], roleSkills);
+    const passed = fromPandas > 0 && fromPandas < fromPython && fromCooking === 0;
+    console.log(`  calculateFitScore (partial credit): ${passed ? 'PASS' : 'FAIL'} (${fromPandas}, ${fromPython})`);
+    
+    const credit = getSkillCredit('python', normalizeSkills(['pandas (intermediate)']));
+    const passed2 = credit.from === 'pandas' && credit.relation === 'child' &&
+                    Math.abs(credit.credit - EDGE_CREDIT.child * 0.6) < 1e-9;
+    console.log(`  getSkillCredit: ${passed2 ? 'PASS' : 'FAIL'}`);
+    
+    // Skills whose prerequisites the user has come first, and a gap skill's
+    // gap prerequisites always come before it
+    const ordered = orderByLearnability(['deep learning', 'kubernetes', 'machine learning', 'statistics'],
+        normalizeSkills(['python', 'mathematics']));
+    const passed3 = ordered[0] === 'statistics' &&
+                    ordered.indexOf('machine learning') < ordered.indexOf('deep learning') &&
+                    ordered.indexOf('statistics') < ordered.indexOf('machine learning');
+    console.log(`  orderByLearnability: ${passed3 ? 'PASS' : 'FAIL'} (${ordered.join(', ')})`);
+    
+    return passed && passed2 && passed3;
+}
+
+// Test alias chains, fuzzy matching and suggestions
+function testCanonicalizeSkillName() {
+    console.log('Testing canonicalizeSkillName...');
+    
+    // postgres → postgresql → sql; a looping chain is reported, not followed forever
+    let cycleDetected = false;
+    try {
+        resolveAliasChain('a', { a: 'b', b: 'c', c: 'a' });
+    } catch (error) {
+        cycleDetected = error.message.includes('a → b → c → a');
+    }
+    const passed = canonicalizeSkillName('Postgres') === 'sql' &&
+                   resolveAliasChain('postgres') === 'sql' && cycleDetected;
+    console.log(`  canonicalizeSkillName (alias chains): ${passed ? 'PASS' : 'FAIL'}`);
+    
+    // Typos in known skills are corrected; short or unknown names are left alone
+    const passed2 = editDistance('pyhton', 'python') === 1 &&
+                    canonicalizeSkillName('pyhton') === 'python' &&
+                    canonicalizeSkillName('javascrpt') === 'javascript' &&
+                    canonicalizeSkillName('kubernets') === 'kubernetes' &&
+                    canonicalizeSkillName('rust') === 'rust' &&
+                    canonicalizeSkillName('sigma') === 'sigma';
+    console.log(`  canonicalizeSkillName (fuzzy): ${passed2 ? 'PASS' : 'FAIL'}`);
+    
+    const k8s = suggestSkills('k8').suggestions[0];
+    const typo = suggestSkills('machin lear');
+    const passed3 = k8s.name === 'kubernetes' && k8s.alias === 'k8s' &&
+                    typo.suggestions[0].name === 'machine learning' && typo.suggestions[0].match === 'fuzzy' &&
+                    suggestSkills('data', 2).suggestions.length === 2 &&
+                    suggestSkills('pyhton').known === true;
+    console.log(`  suggestSkills: ${passed3 ? 'PASS' : 'FAIL'}`);
+    
+    return passed && passed2 && passed3;
+}
+
 // Test sanitizeSkill function
 function testSanitizeSkill() {
     console.log('Testing sanitizeSkill...');
@@ -168,8 +342,28 @@ function testValidateAndCleanProfile() {
     return passed;
 }
 
+// Test mapWithConcurrency function
+async function testMapWithConcurrency() {
+    console.log('Testing mapWithConcurrency...');
+    
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const result = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return index * 10;
+    });
+    
+    const passed = JSON.stringify(result) === JSON.stringify([0, 10, 20, 30]) && maxInFlight === 2;
+    console.log(`  mapWithConcurrency: ${passed ? 'PASS' : 'FAIL'} (max in flight: ${maxInFlight})`);
+    
+    return passed;
+}
+
 // Run all tests
-function runAllTests() {
+async function runAllTests() {
     console.log('Running utility function tests...\n');
     
     const tests = [
@@ -179,22 +373,28 @@ function runAllTests() {
         testCalculateOverlapRatio,
         testCalculateGapSkills,
         testCalculateOverlapSkills,
+        testSkillProficiency,
+        testCalculateInterestMatch,
+        testCalculateFitBreakdown,
+        testSkillGraph,
+        testCanonicalizeSkillName,
         testSanitizeSkill,
-        testValidateAndCleanProfile
+        testValidateAndCleanProfile,
+        testMapWithConcurrency
     ];
     
     let passedTests = 0;
     let totalTests = tests.length;
     
-    tests.forEach(test => {
+    for (const test of tests) {
         try {
-            if (test()) {
+            if (await test()) {
                 passedTests++;
             }
         } catch (error) {
             console.log(`  ${test.name}: FAILED with error: ${error.message}`);
         }
-    });
+    }
     
     console.log(`\nTest Results: ${passedTests}/${totalTests} tests passed`);
     
@@ -216,8 +416,14 @@ module.exports = {
     testCalculateOverlapRatio,
     testCalculateGapSkills,
     testCalculateOverlapSkills,
+    testSkillProficiency,
+    testCalculateInterestMatch,
+    testCalculateFitBreakdown,
+    testSkillGraph,
+    testCanonicalizeSkillName,
     testSanitizeSkill,
-    testValidateAndCleanProfile
+    testValidateAndCleanProfile,
+    testMapWithConcurrency
 };
 
 // Run tests if this file is executed directly
@@ -3,8 +3,32 @@
 // Base URL for the Cloud Function
 const API_BASE_URL = '/api';
 
+// Build request headers carrying the signed-in user's Firebase ID token
+async function getAuthHeaders() {
+    const headers = {
+        'Content-Type': 'application/json',
+    };
+    
+    const user = window.app && window.app.currentUser;
+    if (user) {
+        headers['Authorization'] = `Bearer ${await user.getIdToken()}`;
+    }
+    
+    return headers;
+}
+
+// Id sent with a recommendation request; the server stores the run under
+// it, so retrying with the same id returns that run instead of a new one
+function createRequestId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 // Get recommendations from the Cloud Function
-async function getRecommendations(profileData) {
+// The server saves the run; its document id ends up in window.currentRecommendationId
+async function getRecommendations(profileData, requestId = createRequestId()) {
     if (!window.app || !window.app.currentUser) {
         console.error('User not authenticated');
         return null;
@@ -12,7 +36,8 @@ async function getRecommendations(profileData) {
     
     const requestData = {
         uid: window.app.currentUser.uid,
-        profile: profileData
+        profile: profileData,
+        requestId: requestId
     };
     
     try {
@@ -20,14 +45,12 @@ async function getRecommendations(profileData) {
         
         const response = await fetch(`${API_BASE_URL}/recommend`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(requestData)
         });
         
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw createHTTPError(response);
         }
         
         const data = await response.json();
@@ -40,6 +63,7 @@ async function getRecommendations(profileData) {
         
         // Store recommendations globally for dashboard use
         window.currentRecommendations = data.recommendations;
+        window.currentRecommendationId = data.recommendationId || null;
         
         return data.recommendations;
         
@@ -47,19 +71,10 @@ async function getRecommendations(profileData) {
         console.error('Error getting recommendations:', error);
         
         // Show user-friendly error message
-        let errorMessage = 'Failed to get recommendations. ';
-        
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            errorMessage += 'Please check your internet connection.';
-        } else if (error.message.includes('HTTP error! status: 500')) {
-            errorMessage += 'Server error. Please try again later.';
-        } else if (error.message.includes('HTTP error! status: 429')) {
-            errorMessage += 'Too many requests. Please wait a moment and try again.';
-        } else if (error.message.includes('HTTP error! status: 400')) {
-            errorMessage += 'Invalid request. Please check your profile information.';
-        } else {
-            errorMessage += 'Please try again later.';
-        }
+        const reason = error.name === 'TypeError' && error.message.includes('fetch')
+            ? t('errors.checkConnection')
+            : getHTTPErrorMessage(error);
+        const errorMessage = t('errors.recommendations', { reason });
         
         if (window.ui && window.ui.showToastMessage) {
             window.ui.showToastMessage(errorMessage, 'error');
@@ -71,6 +86,176 @@ async function getRecommendations(profileData) {
     }
 }
 
+// Stream recommendations over Server-Sent Events
+// onEvent(name, data) receives role, explanation, plan and role_error events
+async function streamRecommendations(profileData, onEvent, requestId = createRequestId()) {
+    if (!window.app || !window.app.currentUser) {
+        console.error('User not authenticated');
+        return null;
+    }
+    
+    const headers = await getAuthHeaders();
+    headers['Accept'] = 'text/event-stream';
+    
+    const response = await fetch(`${API_BASE_URL}/recommend/stream`, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+            uid: window.app.currentUser.uid,
+            profile: profileData,
+            requestId: requestId
+        })
+    });
+    
+    if (!response.ok) {
+        throw createHTTPError(response);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        
+        for (const block of blocks) {
+            const event = parseServerSentEvent(block);
+            if (!event) continue;
+            
+            if (event.name === 'error') {
+                const error = new Error(event.data.error || 'Streaming failed');
+                error.status = event.data.status;
+                error.retryAfter = event.data.retryAfter;
+                throw error;
+            }
+            if (event.name === 'done') {
+                result = event.data;
+            } else {
+                onEvent(event.name, event.data);
+            }
+        }
+    }
+    
+    if (!result || !Array.isArray(result.recommendations)) {
+        throw new Error('Invalid response format: stream ended without recommendations');
+    }
+    
+    window.currentRecommendations = result.recommendations;
+    window.currentRecommendationId = result.recommendationId || null;
+    return result.recommendations;
+}
+
+// Parse one "event: ...\ndata: ..." block
+function parseServerSentEvent(block) {
+    let name = 'message';
+    const dataLines = [];
+    
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    
+    if (dataLines.length === 0) return null;
+    
+    try {
+        return { name, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+        console.warn('Ignoring malformed server event:', block);
+        return null;
+    }
+}
+
+// Build an Error carrying the HTTP status and Retry-After of a failed response
+function createHTTPError(response) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+    return error;
+}
+
+// User-facing message for an error produced by createHTTPError
+function getHTTPErrorMessage(error) {
+    switch (error.status) {
+        case 400:
+            return t('errors.badRequest');
+        case 401:
+            return t('errors.unauthorized');
+        case 403:
+            return t('errors.forbidden');
+        case 429:
+            return error.retryAfter
+                ? t('errors.rateLimitedWait', { wait: formatWaitTime(error.retryAfter) })
+                : t('errors.rateLimited');
+        case 500:
+            return t('errors.server');
+        default:
+            return t('errors.tryLater');
+    }
+}
+
+// Format a wait in seconds as a short human-readable duration
+function formatWaitTime(seconds) {
+    if (seconds < 60) return t('errors.seconds', { count: seconds });
+    if (seconds < 3600) return t('errors.minutes', { count: Math.ceil(seconds / 60) });
+    return t('errors.hoursWait', { count: Math.ceil(seconds / 3600) });
+}
+
+// POST a JSON body and return the JSON response; failed requests throw an
+// HTTP error carrying the server's error message as serverMessage
+async function postJSON(path, body) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify(body)
+    });
+    
+    if (!response.ok) {
+        const error = createHTTPError(response);
+        const data = await response.json().catch(() => ({}));
+        error.serverMessage = data.error;
+        throw error;
+    }
+    
+    return response.json();
+}
+
+// Extract hard and soft skills (with confidence and evidence) from free text
+async function extractSkills(text, language = 'en') {
+    return postJSON('/extract_skills', { text, language });
+}
+
+// Extract hard and soft skills from a resume uploaded to Storage
+async function extractResumeSkills(path, language = 'en') {
+    return postJSON('/resume/extract', { path, language });
+}
+
+// Skill autocomplete suggestions and the canonical form of a skill name
+// Returns null on failure so the form keeps working without suggestions
+async function suggestSkills(query, limit = 8) {
+    try {
+        const params = new URLSearchParams({ q: query, limit: String(limit) });
+        const response = await fetch(`${API_BASE_URL}/skills/suggest?${params}`, {
+            method: 'GET',
+            headers: await getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw createHTTPError(response);
+        }
+        
+        return await response.json();
+    } catch (error) {
+        console.warn('Skill suggestions unavailable:', error);
+        return null;
+    }
+}
+
 // Test API connectivity
 async function testAPIConnectivity() {
     try {
@@ -95,14 +280,16 @@ async function testAPIConnectivity() {
 }
 
 // Retry mechanism for failed requests
+// Every attempt reuses one request id, so a retry never saves a second run
 async function getRecommendationsWithRetry(profileData, maxRetries = 3) {
+    const requestId = createRequestId();
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             console.log(`Attempt ${attempt} of ${maxRetries} to get recommendations`);
             
-            const result = await getRecommendations(profileData);
+            const result = await getRecommendations(profileData, requestId);
             if (result) {
                 return result;
             }
@@ -149,6 +336,14 @@ function validateProfileForAPI(profileData) {
         errors.push('Weekly study time must be between 1 and 40 hours');
     }
     
+    if (profileData.experienceLevel && !['entry', 'mid', 'senior'].includes(profileData.experienceLevel)) {
+        errors.push('Experience level must be entry, mid or senior');
+    }
+    
+    if (profileData.planWeeks != null && (profileData.planWeeks < 2 || profileData.planWeeks > 16)) {
+        errors.push('Learning plan length must be between 2 and 16 weeks');
+    }
+    
     if (!profileData.budget) {
         errors.push('Budget preference is required');
     }
@@ -165,26 +360,26 @@ function validateProfileForAPI(profileData) {
 
 // Enhanced error handling with specific error types
 function handleAPIError(error, context = '') {
-    let userMessage = 'An error occurred';
+    let userMessage = t('errors.generic');
     let logLevel = 'error';
     
     if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        userMessage = 'Network error. Please check your internet connection.';
+        userMessage = t('errors.network');
         logLevel = 'warn';
     } else if (error.message.includes('Failed to fetch')) {
-        userMessage = 'Unable to connect to the server. Please try again later.';
+        userMessage = t('errors.unreachable');
         logLevel = 'warn';
     } else if (error.message.includes('timeout')) {
-        userMessage = 'Request timed out. Please try again.';
+        userMessage = t('errors.timeout');
         logLevel = 'warn';
-    } else if (error.message.includes('quota')) {
-        userMessage = 'Service quota exceeded. Please try again later.';
+    } else if (error.status === 429) {
+        userMessage = getHTTPErrorMessage(error);
         logLevel = 'warn';
     } else if (error.message.includes('authentication')) {
-        userMessage = 'Authentication failed. Please sign in again.';
+        userMessage = t('errors.authentication');
         logLevel = 'error';
     } else if (error.message.includes('validation')) {
-        userMessage = 'Invalid data provided. Please check your profile.';
+        userMessage = t('errors.validation');
         logLevel = 'warn';
     }
     
@@ -243,7 +438,9 @@ const apiRateLimiter = new RateLimiter();
 async function getRecommendationsWithRateLimit(profileData) {
     if (!apiRateLimiter.canMakeRequest()) {
         const waitTime = apiRateLimiter.getTimeUntilNextRequest();
-        const message = `Too many requests. Please wait ${Math.ceil(waitTime / 1000)} seconds.`;
+        const message = t('errors.rateLimitedWait', {
+            wait: t('errors.seconds', { count: Math.ceil(waitTime / 1000) })
+        });
         
         if (window.ui && window.ui.showToastMessage) {
             window.ui.showToastMessage(message, 'warning');
@@ -291,7 +488,13 @@ async function performHealthCheck() {
 
 // Export functions for global use
 window.api = {
+    getAuthHeaders,
     getRecommendations,
+    streamRecommendations,
+    getHTTPErrorMessage,
+    suggestSkills,
+    extractSkills,
+    extractResumeSkills,
     getRecommendationsWithRetry,
     getRecommendationsWithRateLimit,
     validateProfileForAPI,
@@ -20,6 +20,10 @@ const db = firebase.firestore();
 let currentUser = null;
 let userProfile = null;
 
+// Set when the profile form is submitted, so the dashboard streams a new run
+// into its cards as soon as it opens instead of the form waiting for all of it
+const PENDING_RUN_KEY = 'careerAdvisor.pendingRun';
+
 // Authentication state observer
 auth.onAuthStateChanged((user) => {
     currentUser = user;
@@ -40,7 +44,7 @@ function signInWithGoogle() {
     auth.signInWithPopup(provider)
         .catch((error) => {
             console.error('Google sign-in error:', error);
-            showToast('Failed to sign in with Google', 'error');
+            showToast(t('toast.signInFailed'), 'error');
         });
 }
 
@@ -48,7 +52,7 @@ function signInWithEmail(email, password) {
     auth.signInWithEmailAndPassword(email, password)
         .catch((error) => {
             console.error('Email sign-in error:', error);
-            showToast('Failed to sign in with email', 'error');
+            showToast(t('toast.emailSignInFailed'), 'error');
         });
 }
 
@@ -56,7 +60,7 @@ function createUserWithEmail(email, password) {
     auth.createUserWithEmailAndPassword(email, password)
         .catch((error) => {
             console.error('Email sign-up error:', error);
-            showToast('Failed to create account', 'error');
+            showToast(t('toast.createAccountFailed'), 'error');
         });
 }
 
@@ -68,7 +72,7 @@ function signOut() {
         })
         .catch((error) => {
             console.error('Sign-out error:', error);
-            showToast('Failed to sign out', 'error');
+            showToast(t('toast.signOutFailed'), 'error');
         });
 }
 
@@ -86,7 +90,7 @@ async function loadUserProfile(uid) {
         
     } catch (error) {
         console.error('Error loading user profile:', error);
-        showToast('Failed to load profile', 'error');
+        showToast(t('toast.loadProfileFailed'), 'error');
     }
 }
 
@@ -102,28 +106,11 @@ async function saveUserProfile(uid, profileData) {
         return true;
     } catch (error) {
         console.error('Error saving profile:', error);
-        showToast('Failed to save profile', 'error');
+        showToast(t('toast.saveProfileFailed'), 'error');
         return false;
     }
 }
 
-async function saveRecommendations(uid, recommendations) {
-    try {
-        const docRef = await db.collection('users').doc(uid).collection('recommendations').add({
-            recommendations: recommendations,
-            createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-            userId: uid
-        });
-        
-        console.log('Recommendations saved with ID:', docRef.id);
-        return docRef.id;
-    } catch (error) {
-        console.error('Error saving recommendations:', error);
-        showToast('Failed to save recommendations', 'error');
-        return null;
-    }
-}
-
 async function loadLatestRecommendations(uid) {
     try {
         const querySnapshot = await db.collection('users').doc(uid)
@@ -142,11 +129,89 @@ async function loadLatestRecommendations(uid) {
         return null;
     } catch (error) {
         console.error('Error loading recommendations:', error);
-        showToast('Failed to load recommendations', 'error');
+        showToast(t('toast.loadRecommendationsFailed'), 'error');
+        return null;
+    }
+}
+
+// Past recommendation runs, newest first
+async function loadRecommendationHistory(uid, limit = 20) {
+    try {
+        const querySnapshot = await db.collection('users').doc(uid)
+            .collection('recommendations')
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+        
+        return querySnapshot.docs.map(doc => ({
+            id: doc.id,
+            data: doc.data()
+        }));
+    } catch (error) {
+        console.error('Error loading recommendation history:', error);
+        showToast(t('toast.loadHistoryFailed'), 'error');
+        return null;
+    }
+}
+
+// Saved learning plans, newest first
+async function loadSavedPlans(uid) {
+    try {
+        const querySnapshot = await db.collection('users').doc(uid)
+            .collection('savedPlans')
+            .orderBy('savedAt', 'desc')
+            .get();
+        
+        return querySnapshot.docs.map(doc => ({
+            id: doc.id,
+            data: doc.data()
+        }));
+    } catch (error) {
+        console.error('Error loading saved plans:', error);
+        showToast(t('toast.loadPlansFailed'), 'error');
         return null;
     }
 }
 
+// Store the ticked-off items of a saved plan with its completion percentages
+async function savePlanProgress(uid, planId, completedItems, progress) {
+    try {
+        await db.collection('users').doc(uid).collection('savedPlans').doc(planId).update({
+            completedItems: completedItems,
+            progress: progress,
+            progressUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error saving plan progress:', error);
+        showToast(t('toast.progressSaveFailed'), 'error');
+        return false;
+    }
+}
+
+// Resume uploads: PDF or DOCX under 5 MB, matching storage.rules
+const RESUME_CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+const MAX_RESUME_BYTES = 5 * 1024 * 1024;
+
+// Upload a resume to resumes/{uid}/ and return its Storage path
+async function uploadResume(uid, file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const contentType = RESUME_CONTENT_TYPES[extension];
+    if (!contentType) {
+        throw new Error(t('extracted.resumeType'));
+    }
+    if (file.size > MAX_RESUME_BYTES) {
+        throw new Error(t('extracted.resumeSize'));
+    }
+    
+    const path = `resumes/${uid}/${Date.now()}.${extension}`;
+    await firebase.storage().ref(path).put(file, { contentType });
+    return path;
+}
+
 async function deleteUserData(uid) {
     try {
         // Delete profile
@@ -159,6 +224,11 @@ async function deleteUserData(uid) {
         const deletePromises = recommendationsSnapshot.docs.map(doc => doc.ref.delete());
         await Promise.all(deletePromises);
         
+        // Delete saved learning plans
+        const plansSnapshot = await db.collection('users').doc(uid)
+            .collection('savedPlans').get();
+        await Promise.all(plansSnapshot.docs.map(doc => doc.ref.delete()));
+        
         // Delete user document
         await db.collection('users').doc(uid).delete();
         
@@ -166,7 +236,7 @@ async function deleteUserData(uid) {
         return true;
     } catch (error) {
         console.error('Error deleting user data:', error);
-        showToast('Failed to delete user data', 'error');
+        showToast(t('toast.deleteFailed'), 'error');
         return false;
     }
 }
@@ -184,9 +254,12 @@ function updateUIForAuthenticatedUser() {
     if (profileSection) profileSection.style.display = 'block';
     
     // Update user name if on dashboard
-    const userNameElement = document.getElementById('userName');
-    if (userNameElement && userProfile) {
-        userNameElement.textContent = userProfile.name || 'User';
+    const welcomeHeading = document.getElementById('welcomeHeading');
+    if (welcomeHeading && userProfile) {
+        // Kept as params so a language switch re-renders the greeting
+        const params = { name: userProfile.name || t('dashboard.defaultName') };
+        welcomeHeading.dataset.i18nParams = JSON.stringify(params);
+        welcomeHeading.textContent = t('dashboard.welcome', params);
     }
 }
 
@@ -274,7 +347,7 @@ async function handleProfileSubmit(event) {
     event.preventDefault();
     
     if (!currentUser) {
-        showToast('Please sign in first', 'error');
+        showToast(t('toast.signInFirst'), 'error');
         return;
     }
     
@@ -283,8 +356,14 @@ async function handleProfileSubmit(event) {
         name: formData.get('name'),
         education: formData.get('education'),
         skills: formData.get('skills').split(',').map(skill => skill.trim()).filter(skill => skill),
-        interests: Array.from(formData.getAll('interests')),
+        softSkills: (formData.get('softSkills') || '').split(',').map(skill => skill.trim()).filter(skill => skill),
+        interests: [
+            ...formData.getAll('interests'),
+            ...(formData.get('otherInterests') || '').split(',').map(interest => interest.trim()).filter(interest => interest)
+        ],
         weeklyTime: parseInt(formData.get('weeklyTime')),
+        planWeeks: formData.get('planWeeks') ? parseInt(formData.get('planWeeks')) : null,
+        experienceLevel: formData.get('experienceLevel') || null,
         budget: formData.get('budget'),
         language: formData.get('language'),
         createdAt: new Date()
@@ -293,7 +372,16 @@ async function handleProfileSubmit(event) {
     // Validate required fields
     if (!profileData.name || !profileData.education || profileData.skills.length === 0 || 
         profileData.interests.length === 0) {
-        showToast('Please fill in all required fields', 'error');
+        showToast(t('toast.requiredFields'), 'error');
+        return;
+    }
+    
+    // Unrecognised skills are ignored in matching, so check before submitting
+    await window.ui.waitForSkillLookups();
+    const unrecognizedSkills = window.ui.getUnrecognizedSkills();
+    if (unrecognizedSkills.length > 0 &&
+        !confirm(t('tags.confirmUnrecognized', { skills: unrecognizedSkills.join(', ') }))) {
+        document.getElementById('skillsEntry').focus();
         return;
     }
     
@@ -307,22 +395,13 @@ async function handleProfileSubmit(event) {
             return;
         }
         
-        // Get recommendations
-        const recommendations = await getRecommendations(profileData);
-        if (recommendations) {
-            // Save recommendations
-            await saveRecommendations(currentUser.uid, recommendations);
-            
-            // Navigate to dashboard
-            navigateToDashboard();
-        } else {
-            hideLoading();
-            showToast('Failed to get recommendations', 'error');
-        }
+        // The dashboard streams the recommendations in; the server saves them
+        sessionStorage.setItem(PENDING_RUN_KEY, '1');
+        navigateToDashboard();
     } catch (error) {
         console.error('Error in profile submission:', error);
         hideLoading();
-        showToast('An error occurred. Please try again.', 'error');
+        showToast(t('toast.genericError'), 'error');
     }
 }
 
@@ -334,21 +413,51 @@ async function loadDashboardData() {
     }
     
     try {
+        // Cards are rendered in the interface language, so wait for its catalog
+        await window.i18n.ready;
+
         // Load profile
         await loadUserProfile(currentUser.uid);
         
+        // A profile was just submitted: show its run as it is generated
+        if (sessionStorage.getItem(PENDING_RUN_KEY)) {
+            sessionStorage.removeItem(PENDING_RUN_KEY);
+            if (await streamPendingRun()) return;
+        }
+        
         // Load latest recommendations
         const recommendationsData = await loadLatestRecommendations(currentUser.uid);
         
         if (recommendationsData) {
+            window.currentRecommendationId = recommendationsData.id;
             renderRecommendations(recommendationsData.data.recommendations);
+            window.planLibrary.loadPlanProgressSummary();
         } else {
             // No recommendations found, redirect to profile
             navigateToIndex();
         }
     } catch (error) {
         console.error('Error loading dashboard data:', error);
-        showToast('Failed to load dashboard data', 'error');
+        showToast(t('toast.dashboardLoadFailed'), 'error');
+    }
+}
+
+// Stream the run for the just-submitted profile into the dashboard cards
+// Resolves to false when it failed, so the latest saved run is shown instead
+async function streamPendingRun() {
+    if (!userProfile) return false;
+    
+    try {
+        const recommendations = await streamRecommendationsIntoDashboard(userProfile);
+        if (!recommendations) return false;
+        
+        renderRecommendations(recommendations);
+        window.planLibrary.loadPlanProgressSummary();
+        return true;
+    } catch (error) {
+        console.error('Error streaming recommendations:', error);
+        showToast(error.status ? window.api.getHTTPErrorMessage(error) : t('toast.recommendationsFailed'), 'error');
+        return false;
     }
 }
 
@@ -356,15 +465,18 @@ async function loadDashboardData() {
 window.app = {
     auth,
     db,
-    currentUser,
-    userProfile,
+    get currentUser() { return currentUser; },
+    get userProfile() { return userProfile; },
     signInWithGoogle,
     signInWithEmail,
     createUserWithEmail,
     signOut,
     saveUserProfile,
-    saveRecommendations,
     loadLatestRecommendations,
+    loadRecommendationHistory,
+    loadSavedPlans,
+    savePlanProgress,
+    uploadResume,
     deleteUserData,
     navigateToDashboard,
     navigateToIndex,
@@ -0,0 +1,248 @@
+// Recommendation History Page
+
+// Runs shown on the page, newest first, and the ids picked for comparison
+let historyRuns = [];
+let selectedRunIds = [];
+
+// Skill name without a level suffix: "Python (advanced)" and
+// { name: 'python', level: 4 } both become "python"
+function getSnapshotSkillName(skill) {
+    const name = typeof skill === 'string' ? skill : (skill && skill.name) || '';
+    return name.replace(/\s*\([^)]*\)\s*$/, '').trim().toLowerCase();
+}
+
+function getSnapshotSkills(profile) {
+    if (!profile) return [];
+    const skills = [...(profile.skills || []), ...(profile.softSkills || [])];
+    return [...new Set(skills.map(getSnapshotSkillName).filter(Boolean))];
+}
+
+/**
+ * Compare two recommendation runs
+ * @param {Object} older - { recommendations, profile } of the earlier run
+ * @param {Object} newer - { recommendations, profile } of the later run
+ * @returns {Object} - { entered, left, changed, skillsAdded } where changed
+ *   lists roles in both runs with their fit scores and closed gap skills
+ */
+function diffRecommendationRuns(older, newer) {
+    const olderRoles = new Map((older.recommendations || []).map(rec => [rec.roleId, rec]));
+    const newerRoles = new Map((newer.recommendations || []).map(rec => [rec.roleId, rec]));
+
+    const entered = [...newerRoles.values()].filter(rec => !olderRoles.has(rec.roleId));
+    const left = [...olderRoles.values()].filter(rec => !newerRoles.has(rec.roleId));
+
+    const changed = [...newerRoles.values()]
+        .filter(rec => olderRoles.has(rec.roleId))
+        .map(rec => {
+            const before = olderRoles.get(rec.roleId);
+            const stillMissing = new Set(rec.gapSkills || []);
+            return {
+                roleId: rec.roleId,
+                title: rec.title,
+                from: before.fitScore,
+                to: rec.fitScore,
+                delta: rec.fitScore - before.fitScore,
+                closedGaps: (before.gapSkills || []).filter(skill => !stillMissing.has(skill))
+            };
+        });
+
+    const olderSkills = new Set(getSnapshotSkills(older.profile));
+    const skillsAdded = older.profile && newer.profile
+        ? getSnapshotSkills(newer.profile).filter(skill => !olderSkills.has(skill))
+        : [];
+
+    return { entered, left, changed, skillsAdded };
+}
+
+function formatRunDate(run) {
+    const createdAt = run.data.createdAt;
+    const date = createdAt && typeof createdAt.toDate === 'function' ? createdAt.toDate() : new Date(createdAt);
+    return isNaN(date) ? '' : date.toLocaleString(window.i18n.getLanguage(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function renderProfileSnapshot(profile) {
+    if (!profile) {
+        return `<p class="history-muted">${t('history.noSnapshot')}</p>`;
+    }
+
+    const escapeHtml = window.ui.escapeHtml;
+    const skills = escapeHtml(getSnapshotSkills(profile).map(window.i18n.skillName).join(', '));
+    const details = [
+        [t('profile.skills'), skills || t('profile.notSpecified')],
+        [t('profile.interests'), escapeHtml((profile.interests || []).join(', ')) || t('profile.notSpecified')],
+        [t('profile.experienceLevel'), profile.experienceLevel ? t(`levels.${profile.experienceLevel}`) : t('profile.notSpecified')],
+        [t('profile.weeklyTime'), profile.weeklyTime ? t('profile.hours', { count: profile.weeklyTime }) : t('profile.notSpecified')]
+    ];
+
+    return `
+        <details class="history-snapshot">
+            <summary>${t('history.profileSnapshot')}</summary>
+            <dl>
+                ${details.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+            </dl>
+        </details>
+    `;
+}
+
+function renderHistoryList() {
+    const container = document.getElementById('historyList');
+    if (!container) return;
+
+    if (historyRuns.length === 0) {
+        container.innerHTML = `<p class="history-muted">${t('history.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = historyRuns.map(run => `
+        <div class="history-run ${selectedRunIds.includes(run.id) ? 'selected' : ''}">
+            <label class="history-run-header">
+                <input type="checkbox" data-run-id="${run.id}" ${selectedRunIds.includes(run.id) ? 'checked' : ''}>
+                <strong>${formatRunDate(run)}</strong>
+            </label>
+            <div class="skills-tags">
+                ${(run.data.recommendations || []).map(rec =>
+                    `<span class="skill-tag">${window.ui.escapeHtml(rec.title)} · ${rec.fitScore}%</span>`
+                ).join('')}
+            </div>
+            ${renderProfileSnapshot(run.data.profile)}
+        </div>
+    `).join('');
+
+    const compareBtn = document.getElementById('compareRunsBtn');
+    if (compareBtn) compareBtn.disabled = selectedRunIds.length !== 2;
+}
+
+function renderRoleList(recommendations) {
+    if (recommendations.length === 0) {
+        return `<p class="history-muted">${t('history.none')}</p>`;
+    }
+    return `
+        <div class="skills-tags">
+            ${recommendations.map(rec => `<span class="skill-tag">${window.ui.escapeHtml(rec.title)} · ${rec.fitScore}%</span>`).join('')}
+        </div>
+    `;
+}
+
+function formatScoreChange(change) {
+    const sign = change.delta > 0 ? '+' : '';
+    const direction = change.delta > 0 ? 'up' : change.delta < 0 ? 'down' : 'same';
+    return `<span class="score-change score-${direction}">${change.from}% → ${change.to}% (${sign}${change.delta})</span>`;
+}
+
+function renderRunDiff() {
+    const container = document.getElementById('historyDiff');
+    if (!container) return;
+
+    if (selectedRunIds.length !== 2) {
+        container.hidden = true;
+        container.innerHTML = '';
+        return;
+    }
+
+    // Always compare the earlier run against the later one
+    const [newer, older] = historyRuns.filter(run => selectedRunIds.includes(run.id));
+    const diff = diffRecommendationRuns(older.data, newer.data);
+    const closedGaps = diff.changed.filter(change => change.closedGaps.length > 0);
+
+    container.hidden = false;
+    container.innerHTML = `
+        <h3>${t('history.comparing', { from: formatRunDate(older), to: formatRunDate(newer) })}</h3>
+
+        <div class="skills-section">
+            <h5>${t('history.entered')}</h5>
+            ${renderRoleList(diff.entered)}
+        </div>
+
+        <div class="skills-section">
+            <h5>${t('history.left')}</h5>
+            ${renderRoleList(diff.left)}
+        </div>
+
+        <div class="skills-section">
+            <h5>${t('history.scoreChanges')}</h5>
+            ${diff.changed.length > 0 ? `
+                <ul class="history-changes">
+                    ${diff.changed.map(change => `<li>${window.ui.escapeHtml(change.title)} ${formatScoreChange(change)}</li>`).join('')}
+                </ul>
+            ` : `<p class="history-muted">${t('history.none')}</p>`}
+        </div>
+
+        <div class="skills-section">
+            <h5>${t('history.closedGaps')}</h5>
+            ${closedGaps.length > 0 ? `
+                <ul class="history-changes">
+                    ${closedGaps.map(change => `
+                        <li>
+                            ${window.ui.escapeHtml(change.title)}:
+                            ${change.closedGaps.map(skill => `<span class="skill-tag overlap-skill">${window.ui.escapeHtml(window.i18n.skillName(skill))}</span>`).join(' ')}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : `<p class="history-muted">${t('history.none')}</p>`}
+        </div>
+
+        ${diff.skillsAdded.length > 0 ? `
+            <div class="skills-section">
+                <h5>${t('history.skillsAdded')}</h5>
+                <div class="skills-tags">
+                    ${diff.skillsAdded.map(skill => `<span class="skill-tag">${window.ui.escapeHtml(window.i18n.skillName(skill))}</span>`).join('')}
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+// Keep at most two runs selected; picking a third drops the oldest pick
+function toggleRunSelection(runId, checked) {
+    selectedRunIds = selectedRunIds.filter(id => id !== runId);
+    if (checked) {
+        selectedRunIds.push(runId);
+        if (selectedRunIds.length > 2) selectedRunIds.shift();
+    }
+    renderHistoryList();
+}
+
+async function loadHistoryPage() {
+    await window.i18n.ready;
+
+    const runs = await window.app.loadRecommendationHistory(window.app.currentUser.uid);
+    if (!runs) return;
+
+    historyRuns = runs;
+    // Start by comparing the two most recent runs
+    selectedRunIds = runs.slice(0, 2).map(run => run.id);
+    renderHistoryList();
+    renderRunDiff();
+}
+
+function setupHistoryPage() {
+    const list = document.getElementById('historyList');
+    if (list) {
+        list.addEventListener('change', event => {
+            const checkbox = event.target.closest('input[data-run-id]');
+            if (checkbox) toggleRunSelection(checkbox.dataset.runId, checkbox.checked);
+        });
+    }
+
+    const compareBtn = document.getElementById('compareRunsBtn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', () => {
+            renderRunDiff();
+            document.getElementById('historyDiff').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    document.addEventListener('i18n:change', () => {
+        renderHistoryList();
+        const diff = document.getElementById('historyDiff');
+        if (diff && !diff.hidden) renderRunDiff();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupHistoryPage);
+
+// Export functions for global use
+window.runHistory = {
+    diffRecommendationRuns,
+    loadHistoryPage
+};
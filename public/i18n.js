@@ -0,0 +1,195 @@
+// Interface Translations
+
+// Languages the interface can be shown in, labelled in their own script
+const LANGUAGES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    ta: 'தமிழ்',
+    te: 'తెలుగు',
+    mr: 'मराठी',
+    bn: 'বাংলা'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'genspark.language';
+
+// Loaded message catalogs keyed by language code
+const catalogs = {};
+let currentLanguage = DEFAULT_LANGUAGE;
+
+// Fetch a language's catalog once; a missing catalog falls back to English
+async function loadCatalog(code) {
+    if (catalogs[code]) {
+        return catalogs[code];
+    }
+
+    try {
+        const response = await fetch(`locales/${code}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        catalogs[code] = await response.json();
+    } catch (error) {
+        console.error(`Error loading ${code} translations:`, error);
+        catalogs[code] = {};
+    }
+
+    return catalogs[code];
+}
+
+// Pick the starting language: saved choice, then the browser's, then English
+function detectLanguage() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be unavailable in private windows
+    }
+    if (saved && LANGUAGES[saved]) {
+        return saved;
+    }
+
+    const browser = (navigator.language || '').split('-')[0].toLowerCase();
+    return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+}
+
+// Walk a dotted key such as 'form.submit' through a catalog
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (
+        node && typeof node === 'object' ? node[part] : undefined
+    ), catalog);
+}
+
+// Replace {name} placeholders with values from params
+function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    ));
+}
+
+// Translate a key, falling back to English and then to the key itself.
+// Messages with one/other forms are chosen by params.count.
+function t(key, params = {}) {
+    let message = lookup(catalogs[currentLanguage], key);
+    if (message === undefined) {
+        message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+    }
+    if (message === undefined || message === null) {
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const rule = new Intl.PluralRules(currentLanguage).select(Number(params.count) || 0);
+        message = message[rule] || message.other;
+        if (typeof message !== 'string') {
+            return key;
+        }
+    }
+
+    return interpolate(String(message), params);
+}
+
+// Display name for a canonical skill; untranslated skills keep their name
+function skillName(name) {
+    const translated = lookup(catalogs[currentLanguage], 'skills');
+    const key = String(name || '').toLowerCase();
+    return translated && translated[key] ? translated[key] : name;
+}
+
+// Read the data-i18n-params JSON of an element
+function getElementParams(element) {
+    if (!element.dataset.i18nParams) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(element.dataset.i18nParams);
+    } catch (error) {
+        console.error('Invalid data-i18n-params:', element.dataset.i18nParams);
+        return {};
+    }
+}
+
+// Translate every tagged element under root
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, getElementParams(element));
+    });
+
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
+
+// Fill and wire the header language switchers
+function setupLanguageSwitchers() {
+    document.querySelectorAll('select[data-language-switcher]').forEach(select => {
+        if (!select.options.length) {
+            Object.entries(LANGUAGES).forEach(([code, name]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => setLanguage(select.value));
+        }
+        select.value = currentLanguage;
+    });
+}
+
+// Switch the interface language and tell the page to re-render
+async function setLanguage(code) {
+    const language = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    await Promise.all([loadCatalog(DEFAULT_LANGUAGE), loadCatalog(language)]);
+    currentLanguage = language;
+
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        // The choice just won't persist
+    }
+
+    document.documentElement.lang = language;
+    applyTranslations();
+    setupLanguageSwitchers();
+    document.dispatchEvent(new CustomEvent('i18n:change', { detail: { language } }));
+
+    return language;
+}
+
+function getLanguage() {
+    return currentLanguage;
+}
+
+// Resolves once the starting language is loaded and applied
+const ready = new Promise(resolve => {
+    const start = () => setLanguage(detectLanguage()).then(resolve);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+});
+
+// Export functions for global use
+window.i18n = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    ready,
+    t,
+    skillName,
+    applyTranslations,
+    setLanguage,
+    getLanguage
+};
+
+// Shorthand used throughout the UI scripts
+window.t = t;
@@ -0,0 +1,280 @@
+// Saved Learning Plans Page
+
+// Saved plans shown on the page, newest first, once they have loaded
+let savedPlans = [];
+let plansLoaded = false;
+
+// Last progress save queued per plan id; a plan's saves run one at a time
+const progressSaves = {};
+// Number of times each "planId/itemKey" has been toggled
+const itemToggles = {};
+
+// Checklist items of one week. Keys look like "2:topics:0" or "2:project"
+// and are what a saved plan stores in completedItems.
+function getWeekItems(week) {
+    const items = [];
+    (Array.isArray(week.topics) ? week.topics : []).forEach((topic, index) => {
+        items.push({ key: `${week.week}:topics:${index}`, section: 'topics', text: topic });
+    });
+    (Array.isArray(week.practice) ? week.practice : []).forEach((activity, index) => {
+        items.push({ key: `${week.week}:practice:${index}`, section: 'practice', text: activity });
+    });
+    if (week.assessment) {
+        items.push({ key: `${week.week}:assessment`, section: 'assessment', text: week.assessment });
+    }
+    if (week.project) {
+        items.push({ key: `${week.week}:project`, section: 'project', text: week.project });
+    }
+    return items;
+}
+
+function percentOf(done, total) {
+    return total > 0 ? Math.round((done / total) * 100) : 0;
+}
+
+/**
+ * Work out how much of a plan is done
+ * @param {Object} plan - Learning plan with weeks
+ * @param {Array} completedItems - Keys of the ticked-off items
+ * @returns {Object} - { completed, total, percent, weeks } where weeks maps
+ *   each week number to its percent complete
+ */
+function calculatePlanProgress(plan, completedItems) {
+    const done = new Set(completedItems || []);
+    const weeks = {};
+    let completed = 0;
+    let total = 0;
+
+    (plan && Array.isArray(plan.weeks) ? plan.weeks : []).forEach(week => {
+        const keys = getWeekItems(week).map(item => item.key);
+        const weekDone = keys.filter(key => done.has(key)).length;
+        weeks[week.week] = percentOf(weekDone, keys.length);
+        completed += weekDone;
+        total += keys.length;
+    });
+
+    return { completed, total, percent: percentOf(completed, total), weeks };
+}
+
+function renderProgressBar(percent) {
+    return `
+        <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+            <div class="progress-fill" style="width: ${percent}%"></div>
+        </div>
+    `;
+}
+
+function formatSavedDate(savedPlan) {
+    const savedAt = savedPlan.data.savedAt;
+    const date = savedAt && typeof savedAt.toDate === 'function' ? savedAt.toDate() : new Date(savedAt);
+    return isNaN(date) ? '' : date.toLocaleDateString(window.i18n.getLanguage(), { dateStyle: 'medium' });
+}
+
+function renderPlanSummary(savedPlan, progress) {
+    return `
+        <div class="saved-plan-summary">
+            <span>${t('plans.percentComplete', { percent: progress.percent })}</span>
+            <span class="history-muted">${t('plans.itemsDone', { done: progress.completed, total: progress.total })}</span>
+        </div>
+        ${renderProgressBar(progress.percent)}
+    `;
+}
+
+function renderWeekChecklist(savedPlan, week, progress) {
+    const done = new Set(savedPlan.data.completedItems || []);
+    const items = getWeekItems(week);
+    const sections = ['topics', 'practice', 'assessment', 'project']
+        .map(section => [section, items.filter(item => item.section === section)])
+        .filter(([, sectionItems]) => sectionItems.length > 0);
+
+    return `
+        <div class="plan-week">
+            <div class="week-header">
+                <div class="week-number">${week.week}</div>
+                <h5 class="week-title">${t('plan.week', { week: week.week })}</h5>
+                <span class="week-hours">${t('plans.percentComplete', { percent: progress.weeks[week.week] })}</span>
+            </div>
+            ${sections.map(([section, sectionItems]) => `
+                <div class="plan-section">
+                    <h5>${t(`plan.${section}`)}</h5>
+                    <ul class="plan-checklist">
+                        ${sectionItems.map(item => `
+                            <li>
+                                <label>
+                                    <input type="checkbox" data-plan-id="${savedPlan.id}" data-item-key="${item.key}" ${done.has(item.key) ? 'checked' : ''}>
+                                    <span>${window.ui.escapeHtml(item.text)}</span>
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderSavedPlan(savedPlan) {
+    const plan = savedPlan.data.plan || {};
+    const weeks = Array.isArray(plan.weeks) ? plan.weeks : [];
+    const progress = calculatePlanProgress(plan, savedPlan.data.completedItems);
+
+    return `
+        <div class="saved-plan" data-saved-plan="${savedPlan.id}">
+            <div class="saved-plan-header">
+                <strong>${window.ui.escapeHtml(savedPlan.data.title)}</strong>
+                <span class="history-muted">${t('plans.savedOn', { date: formatSavedDate(savedPlan) })}</span>
+            </div>
+            <div data-plan-progress>
+                ${renderPlanSummary(savedPlan, progress)}
+            </div>
+            <details class="history-snapshot">
+                <summary>${t('plans.checklist')}</summary>
+                ${weeks.map(week => `
+                    <div data-week-progress="${week.week}">
+                        ${renderWeekChecklist(savedPlan, week, progress)}
+                    </div>
+                `).join('')}
+            </details>
+        </div>
+    `;
+}
+
+function renderSavedPlans() {
+    const container = document.getElementById('savedPlansList');
+    if (!container) return;
+
+    if (savedPlans.length === 0) {
+        container.innerHTML = `<p class="history-muted">${t('plans.empty')}</p>`;
+        return;
+    }
+
+    container.innerHTML = savedPlans.map(renderSavedPlan).join('');
+}
+
+// Refresh the progress figures of one plan without closing its checklist
+function updateSavedPlanProgress(savedPlan) {
+    const card = document.querySelector(`[data-saved-plan="${savedPlan.id}"]`);
+    if (!card) return;
+
+    const progress = calculatePlanProgress(savedPlan.data.plan, savedPlan.data.completedItems);
+    card.querySelector('[data-plan-progress]').innerHTML = renderPlanSummary(savedPlan, progress);
+    card.querySelectorAll('[data-week-progress] .week-hours').forEach(label => {
+        const week = label.closest('[data-week-progress]').dataset.weekProgress;
+        label.textContent = t('plans.percentComplete', { percent: progress.weeks[week] });
+    });
+}
+
+// Completed item keys with one item ticked or unticked
+function setItemDone(completedItems, itemKey, done) {
+    const keys = (completedItems || []).filter(key => key !== itemKey);
+    if (done) keys.push(itemKey);
+    return keys;
+}
+
+// Tick or untick an item and store the new progress; undo it if saving fails.
+// Saves are queued per plan and each sends the items as they are when it
+// runs, so a failed save undoes only its own item, not later ticks. If the
+// item was toggled again meanwhile, the newer state is kept: its own queued
+// save stores it.
+function toggleItem(planId, itemKey, checked) {
+    const savedPlan = savedPlans.find(item => item.id === planId);
+    if (!savedPlan) return Promise.resolve();
+
+    const toggleKey = `${planId}/${itemKey}`;
+    const toggle = (itemToggles[toggleKey] || 0) + 1;
+    itemToggles[toggleKey] = toggle;
+
+    savedPlan.data.completedItems = setItemDone(savedPlan.data.completedItems, itemKey, checked);
+    updateSavedPlanProgress(savedPlan);
+
+    const save = (progressSaves[planId] || Promise.resolve()).then(async () => {
+        const completedItems = savedPlan.data.completedItems;
+        const progress = calculatePlanProgress(savedPlan.data.plan, completedItems);
+        const saved = await window.app.savePlanProgress(window.app.currentUser.uid, planId, completedItems, progress);
+        if (saved) return;
+
+        if (itemToggles[toggleKey] !== toggle) return;
+
+        savedPlan.data.completedItems = setItemDone(savedPlan.data.completedItems, itemKey, !checked);
+        const checkbox = document.querySelector(`input[data-plan-id="${planId}"][data-item-key="${itemKey}"]`);
+        if (checkbox) checkbox.checked = !checked;
+        updateSavedPlanProgress(savedPlan);
+    });
+    progressSaves[planId] = save;
+    return save;
+}
+
+async function loadPlansPage() {
+    await window.i18n.ready;
+
+    const plans = await window.app.loadSavedPlans(window.app.currentUser.uid);
+    if (!plans) return;
+
+    savedPlans = plans;
+    plansLoaded = true;
+    renderSavedPlans();
+}
+
+// Overall progress across every saved plan, shown on the dashboard
+async function loadPlanProgressSummary() {
+    const container = document.getElementById('planProgressSummary');
+    if (!container) return;
+
+    const plans = await window.app.loadSavedPlans(window.app.currentUser.uid);
+    if (!plans) return;
+
+    savedPlans = plans;
+    plansLoaded = true;
+    renderPlanProgressSummary();
+}
+
+function renderPlanProgressSummary() {
+    const container = document.getElementById('planProgressSummary');
+    if (!container) return;
+
+    if (savedPlans.length === 0) {
+        container.innerHTML = `<p class="history-muted">${t('plans.noPlans')}</p>`;
+        return;
+    }
+
+    const totals = savedPlans
+        .map(savedPlan => calculatePlanProgress(savedPlan.data.plan, savedPlan.data.completedItems))
+        .reduce((sum, progress) => ({
+            completed: sum.completed + progress.completed,
+            total: sum.total + progress.total
+        }), { completed: 0, total: 0 });
+    const percent = percentOf(totals.completed, totals.total);
+
+    container.innerHTML = `
+        <div class="saved-plan-summary">
+            <span>${t('plans.percentComplete', { percent })}</span>
+            <span class="history-muted">${t('plans.overallSummary', { done: totals.completed, total: totals.total, count: savedPlans.length })}</span>
+        </div>
+        ${renderProgressBar(percent)}
+    `;
+}
+
+function setupPlansPage() {
+    const list = document.getElementById('savedPlansList');
+    if (list) {
+        list.addEventListener('change', event => {
+            const checkbox = event.target.closest('input[data-item-key]');
+            if (checkbox) toggleItem(checkbox.dataset.planId, checkbox.dataset.itemKey, checkbox.checked);
+        });
+    }
+
+    document.addEventListener('i18n:change', () => {
+        if (!plansLoaded) return;
+        renderSavedPlans();
+        renderPlanProgressSummary();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupPlansPage);
+
+// Export functions for global use
+window.planLibrary = {
+    calculatePlanProgress,
+    loadPlansPage,
+    loadPlanProgressSummary
+};
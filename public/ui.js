@@ -1,5 +1,14 @@
 // UI Helper Functions
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text before putting it into HTML built from template strings.
+// Use it for anything the user, a resume or the model supplied.
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // Toast message system
 function showToastMessage(message, type = 'info') {
     const toastContainer = document.getElementById('toastContainer');
@@ -64,11 +73,13 @@ function renderRecommendations(recommendations) {
     if (!container) return;
     
     container.innerHTML = '';
+    // Kept so plan views and language switches can use the rendered list
+    window.currentRecommendations = recommendations || [];
     
     if (!recommendations || recommendations.length === 0) {
         container.innerHTML = `
             <div class="no-recommendations">
-                <p>No recommendations found. Please generate new ones.</p>
+                <p>${t('card.none')}</p>
             </div>
         `;
         return;
@@ -80,64 +91,200 @@ function renderRecommendations(recommendations) {
     });
 }
 
+// Insert or replace the card for one recommendation (used while streaming)
+function updateRecommendationCard(recommendation, index) {
+    const container = document.getElementById('recommendationsContainer');
+    if (!container) return;
+    
+    const card = createRecommendationCard(recommendation, index);
+    const existing = container.querySelector(`[data-role-id="${recommendation.roleId}"]`);
+    if (existing) {
+        container.replaceChild(card, existing);
+    } else {
+        container.appendChild(card);
+    }
+}
+
 function createRecommendationCard(recommendation, index) {
     const card = document.createElement('div');
     card.className = 'recommendation-card';
+    card.dataset.roleId = recommendation.roleId;
+    
+    let why = recommendation.why;
+    if (recommendation.failed) {
+        why = `<span class="card-pending">${t('card.failed')}</span>`;
+    } else if (why === undefined) {
+        why = `<span class="card-pending">${t('card.writing')}</span>`;
+    }
+    
+    const planButton = recommendation.plan
+        ? `<button class="btn btn-primary" onclick="viewLearningPlan('${index}')">
+                ${t('card.viewPlan')}
+            </button>`
+        : `<button class="btn btn-primary" disabled>
+                ${recommendation.failed ? t('card.planUnavailable') : t('card.preparingPlan')}
+            </button>`;
+    
     card.innerHTML = `
         <div class="card-header">
             <h4 class="card-title">${recommendation.title}</h4>
             <div style="display:flex; gap:0.5rem; align-items:center;">
-                ${typeof recommendation.demandScore === 'number' ? `<span class="fit-score" title="Demand score">D:${recommendation.demandScore}</span>` : ''}
-                <span class="fit-score" title="Fit score">${recommendation.fitScore}%</span>
+                ${typeof recommendation.demandScore === 'number' ? `<span class="fit-score" title="${t('card.demandScore')}">D:${recommendation.demandScore}</span>` : ''}
+                <span class="fit-score" title="${t('card.fitScore')}">${recommendation.fitScore}%</span>
             </div>
         </div>
-        <p class="card-why">${recommendation.why}</p>
+        ${recommendation.description ? `<p class="card-description">${recommendation.description}</p>` : ''}
+        ${renderSalaryRange(recommendation.salaryInr, recommendation.level)}
+        <p class="card-why">${why}</p>
         
         <div class="skills-section">
-            <h5>Your Skills (${recommendation.overlapSkills.length})</h5>
+            <h5>${t('card.yourSkills', { count: recommendation.overlapSkills.length })}</h5>
             <div class="skills-tags">
                 ${recommendation.overlapSkills.map(skill => 
-                    `<span class="skill-tag overlap-skill">${skill}</span>`
+                    `<span class="skill-tag overlap-skill">${window.i18n.skillName(skill)}</span>`
                 ).join('')}
             </div>
         </div>
         
+        ${renderUpskillSkills(recommendation.upskillSkills)}
+        
         <div class="skills-section">
-            <h5>Skills to Learn (${recommendation.gapSkills.length})</h5>
+            <h5>${t('card.skillsToLearn', { count: recommendation.gapSkills.length })}</h5>
             <div class="skills-tags">
                 ${recommendation.gapSkills.map(skill => 
-                    `<span class="skill-tag gap-skill">${skill}</span>`
+                    `<span class="skill-tag gap-skill">${window.i18n.skillName(skill)}</span>`
                 ).join('')}
             </div>
         </div>
         
+        ${renderEducationPaths(recommendation.educationPaths)}
+        
+        ${renderScoreBreakdown(recommendation.scoreBreakdown)}
+        
         <div class="card-actions">
-            <button class="btn btn-primary" onclick="viewLearningPlan('${index}')">
-                View Learning Plan
-            </button>
+            ${planButton}
         </div>
     `;
     
     return card;
 }
 
+// Skills the user has, but below the level the role expects
+function renderUpskillSkills(upskillSkills) {
+    if (!Array.isArray(upskillSkills) || upskillSkills.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="skills-section">
+            <h5>${t('card.needsUpskilling', { count: upskillSkills.length })}</h5>
+            <div class="skills-tags">
+                ${upskillSkills.map(skill => 
+                    `<span class="skill-tag upskill-skill" title="${t('card.upskillTitle', { current: t(`proficiency.${skill.level}`), required: t(`proficiency.${skill.requiredLevel}`) })}">${window.i18n.skillName(skill.name)}: ${skill.level} → ${skill.requiredLevel}</span>`
+                ).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Expandable "why this score" panel built from the API's scoreBreakdown
+function renderScoreBreakdown(breakdown) {
+    if (!breakdown || !breakdown.components) {
+        return '';
+    }
+    
+    const components = Object.entries(breakdown.components).map(([name, component]) => `
+        <tr>
+            <td>${t(`breakdown.components.${name}`)}</td>
+            <td>${Math.round(component.value * 100)}% × ${Math.round(component.weight * 100)}%</td>
+            <td class="breakdown-points">${component.points}</td>
+        </tr>
+    `).join('');
+    
+    const skills = (breakdown.skills || []).map(skill => {
+        let points = skill.matched ? `+${skill.points}` : t('breakdown.missing');
+        if (!skill.matched && skill.credit) {
+            points = t('breakdown.credit', { points: skill.points, skill: window.i18n.skillName(skill.credit.from) });
+        }
+        return `
+            <tr class="${skill.matched ? 'breakdown-matched' : 'breakdown-missing'}">
+                <td>${window.i18n.skillName(skill.name)}</td>
+                <td>${t('breakdown.weight', { weight: skill.weight, share: Math.round(skill.share * 100) })}</td>
+                <td class="breakdown-points">${points}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <details class="score-breakdown">
+            <summary>${t('breakdown.summary')}</summary>
+            <table class="breakdown-table">
+                ${components}
+                <tr class="breakdown-total">
+                    <td>${t('breakdown.fitScore')}</td>
+                    <td></td>
+                    <td class="breakdown-points">${breakdown.score}</td>
+                </tr>
+            </table>
+            ${skills ? `
+                <h5>${t('breakdown.roleSkills')}</h5>
+                <table class="breakdown-table">${skills}</table>
+                <p class="breakdown-note">${t('breakdown.note')}</p>
+            ` : ''}
+        </details>
+    `;
+}
+
+// Annual INR salary shown in lakhs per annum (LPA)
+function formatLakhs(amount) {
+    return `${Math.round(amount / 10000) / 10}`;
+}
+
+function renderSalaryRange(salaryInr, level) {
+    if (!salaryInr || typeof salaryInr.min !== 'number' || typeof salaryInr.max !== 'number') {
+        return '';
+    }
+    
+    const levelText = ['entry', 'mid', 'senior'].includes(level) ? ` · ${t(`levels.${level}`)}` : '';
+    return `
+        <p class="card-salary" title="${t('card.salaryTitle')}">
+            ${t('card.salary', { min: formatLakhs(salaryInr.min), max: formatLakhs(salaryInr.max) })}${levelText}
+        </p>
+    `;
+}
+
+function renderEducationPaths(educationPaths) {
+    if (!Array.isArray(educationPaths) || educationPaths.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="skills-section">
+            <h5>${t('card.educationPaths')}</h5>
+            <ul class="education-paths">
+                ${educationPaths.map(path => `<li>${path}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 // Learning plan modal rendering
 function viewLearningPlan(index) {
     const recommendations = window.currentRecommendations || [];
     const recommendation = recommendations[index];
     
     if (!recommendation || !recommendation.plan) {
-        showToastMessage('Learning plan not available', 'error');
+        showToastMessage(t('toast.planUnavailable'), 'error');
         return;
     }
     
     const modalTitle = document.getElementById('modalTitle');
     const planContent = document.getElementById('planContent');
     
-    if (modalTitle) modalTitle.textContent = `${recommendation.title} - Learning Plan`;
+    if (modalTitle) modalTitle.textContent = t('plan.modalTitle', { role: recommendation.title });
     
     if (planContent) {
-        planContent.innerHTML = renderLearningPlan(recommendation.plan, recommendation.title);
+        planContent.innerHTML = renderLearningPlan(recommendation.plan, recommendation.title, recommendation.planSource);
     }
     
     // Store current recommendation for PDF download
@@ -146,16 +293,18 @@ function viewLearningPlan(index) {
     showModal('planModal');
 }
 
-function renderLearningPlan(plan, roleTitle) {
+function renderLearningPlan(plan, roleTitle, planSource) {
     if (!plan.weeks || !Array.isArray(plan.weeks)) {
-        return '<p>Learning plan format is invalid.</p>';
+        return `<p>${t('plan.invalid')}</p>`;
     }
     
     let html = `
         <div class="plan-header">
-            <h4>4-Week Learning Path for ${roleTitle}</h4>
-            <p>This structured plan will help you build the necessary skills step by step.</p>
+            <h4>${t('plan.heading', { count: plan.weeks.length, role: roleTitle })}</h4>
+            <p>${t('plan.intro')}</p>
+            ${planSource === 'fallback' ? `<p class="plan-notice">${t('plan.fallbackNotice')}</p>` : ''}
         </div>
+        ${renderPrerequisites(plan.prerequisites)}
     `;
     
     plan.weeks.forEach(week => {
@@ -163,42 +312,44 @@ function renderLearningPlan(plan, roleTitle) {
             <div class="plan-week">
                 <div class="week-header">
                     <div class="week-number">${week.week}</div>
-                    <h5 class="week-title">Week ${week.week}</h5>
+                    <h5 class="week-title">${t('plan.week', { week: week.week })}</h5>
+                    ${renderWeekHours(week, plan.weeklyBudgetHours)}
                 </div>
                 
                 <div class="plan-section">
-                    <h5>Topics to Cover</h5>
+                    <h5>${t('plan.topics')}</h5>
                     <ul>
                         ${Array.isArray(week.topics) ? 
-                            week.topics.map(topic => `<li>${topic}</li>`).join('') :
-                            '<li>Topics not specified</li>'
+                            week.topics.map((topic, index) => `<li>${topic}${renderTopicHours(week.timePerTopicHours, index)}</li>`).join('') :
+                            `<li>${t('plan.topicsMissing')}</li>`
                         }
                     </ul>
                 </div>
                 
                 <div class="plan-section">
-                    <h5>Practice Activities</h5>
+                    <h5>${t('plan.practice')}</h5>
                     <ul>
                         ${Array.isArray(week.practice) ? 
                             week.practice.map(activity => `<li>${activity}</li>`).join('') :
-                            '<li>Practice activities not specified</li>'
+                            `<li>${t('plan.practiceMissing')}</li>`
                         }
                     </ul>
                 </div>
                 
                 <div class="plan-section">
-                    <h5>Assessment</h5>
+                    <h5>${t('plan.assessment')}</h5>
                     <ul>
-                        <li>${week.assessment || 'Assessment not specified'}</li>
+                        <li>${week.assessment || t('plan.assessmentMissing')}</li>
                     </ul>
                 </div>
                 
                 <div class="plan-section">
-                    <h5>Project</h5>
+                    <h5>${t('plan.project')}</h5>
                     <ul>
-                        <li>${week.project || 'Project not specified'}</li>
+                        <li>${week.project || t('plan.projectMissing')}</li>
                     </ul>
                 </div>
+                ${renderResources(week.resources)}
             </div>
         `;
     });
@@ -206,42 +357,125 @@ function renderLearningPlan(plan, roleTitle) {
     return html;
 }
 
+function renderPrerequisites(prerequisites) {
+    if (!Array.isArray(prerequisites) || prerequisites.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="plan-section plan-prerequisites">
+            <h5>${t('plan.prerequisites')}</h5>
+            <ul>
+                ${prerequisites.map(item => `<li>${item}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+const RESOURCE_TYPES = ['free', 'low', 'paid'];
+
+function renderResources(resources) {
+    if (!Array.isArray(resources) || resources.length === 0) {
+        return '';
+    }
+    
+    const items = resources.map(resource => {
+        const type = RESOURCE_TYPES.includes(resource.type) ? resource.type : 'free';
+        const title = /^https?:\/\//.test(resource.url || '')
+            ? `<a href="${resource.url}" target="_blank" rel="noopener noreferrer">${resource.title}</a>`
+            : resource.title;
+        const details = [resource.provider, resource.estimatedHours ? `~${formatHours(resource.estimatedHours)}` : '']
+            .filter(Boolean).join(' · ');
+        return `<li>${title} <span class="resource-badge resource-${type}">${t(`plan.resourceTypes.${type}`)}</span>${details ? `<span class="resource-details">${details}</span>` : ''}</li>`;
+    });
+    
+    return `
+        <div class="plan-section">
+            <h5>${t('plan.resources')}</h5>
+            <ul>
+                ${items.join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function formatHours(hours) {
+    return t('plan.hours', { count: hours });
+}
+
+function renderTopicHours(timePerTopicHours, index) {
+    if (!Array.isArray(timePerTopicHours) || typeof timePerTopicHours[index] !== 'number') {
+        return '';
+    }
+    return `<span class="topic-hours">${formatHours(timePerTopicHours[index])}</span>`;
+}
+
+// Week total against the weekly study time (older saved plans have no totals)
+function renderWeekHours(week, weeklyBudgetHours) {
+    if (typeof week.totalHours !== 'number') {
+        return '';
+    }
+    
+    const budget = weeklyBudgetHours ? ` / ${formatHours(weeklyBudgetHours)}` : '';
+    return `
+        <span class="week-hours ${week.overBudget ? 'over-budget' : ''}" ${week.overBudget ? `title="${t('plan.overBudget')}"` : ''}>
+            ${budget ? `${week.totalHours}${budget}` : formatHours(week.totalHours)}
+        </span>
+    `;
+}
+
 // Profile modal rendering
 function showProfileModal() {
     const profileContent = document.getElementById('profileContent');
     if (!profileContent || !window.app.userProfile) return;
     
     const profile = window.app.userProfile;
+    const notSpecified = t('profile.notSpecified');
+    const listOrNone = items => (Array.isArray(items) && items.length > 0
+        ? escapeHtml(items.map(window.i18n.skillName).join(', '))
+        : notSpecified);
     
     profileContent.innerHTML = `
         <div class="profile-info">
             <div class="profile-item">
-                <h5>Name</h5>
-                <p>${profile.name || 'Not specified'}</p>
+                <h5>${t('profile.name')}</h5>
+                <p>${profile.name ? escapeHtml(profile.name) : notSpecified}</p>
             </div>
             <div class="profile-item">
-                <h5>Education</h5>
-                <p>${profile.education || 'Not specified'}</p>
+                <h5>${t('profile.education')}</h5>
+                <p>${profile.education ? t(`form.educationOptions.${profile.education}`) : notSpecified}</p>
             </div>
             <div class="profile-item">
-                <h5>Skills</h5>
-                <p>${Array.isArray(profile.skills) ? profile.skills.join(', ') : 'Not specified'}</p>
+                <h5>${t('profile.skills')}</h5>
+                <p>${listOrNone(profile.skills)}</p>
             </div>
             <div class="profile-item">
-                <h5>Interests</h5>
-                <p>${Array.isArray(profile.interests) ? profile.interests.join(', ') : 'Not specified'}</p>
+                <h5>${t('profile.softSkills')}</h5>
+                <p>${listOrNone(profile.softSkills)}</p>
             </div>
             <div class="profile-item">
-                <h5>Weekly Study Time</h5>
-                <p>${profile.weeklyTime || 'Not specified'} hours</p>
+                <h5>${t('profile.interests')}</h5>
+                <p>${Array.isArray(profile.interests) ? escapeHtml(profile.interests.join(', ')) : notSpecified}</p>
             </div>
             <div class="profile-item">
-                <h5>Budget Preference</h5>
-                <p>${profile.budget || 'Not specified'}</p>
+                <h5>${t('profile.weeklyTime')}</h5>
+                <p>${profile.weeklyTime ? t('profile.hours', { count: profile.weeklyTime }) : notSpecified}</p>
             </div>
             <div class="profile-item">
-                <h5>Language</h5>
-                <p>${profile.language === 'hi' ? 'Hindi' : 'English'}</p>
+                <h5>${t('profile.experienceLevel')}</h5>
+                <p>${profile.experienceLevel ? t(`levels.${profile.experienceLevel}`) : notSpecified}</p>
+            </div>
+            <div class="profile-item">
+                <h5>${t('profile.planLength')}</h5>
+                <p>${profile.planWeeks ? t('form.weeks', { count: profile.planWeeks }) : t('profile.auto')}</p>
+            </div>
+            <div class="profile-item">
+                <h5>${t('profile.budget')}</h5>
+                <p>${profile.budget ? t(`form.budgetOptions.${profile.budget}`) : notSpecified}</p>
+            </div>
+            <div class="profile-item">
+                <h5>${t('profile.language')}</h5>
+                <p>${window.i18n.LANGUAGES[profile.language] || window.i18n.LANGUAGES.en}</p>
             </div>
         </div>
     `;
@@ -252,7 +486,7 @@ function showProfileModal() {
 // PDF download functionality
 function downloadPDF() {
     if (!window.currentLearningPlan) {
-        showToastMessage('No learning plan available for download', 'error');
+        showToastMessage(t('toast.noPlanToDownload'), 'error');
         return;
     }
     
@@ -285,10 +519,17 @@ function serializeForm(formElement) {
         if (key === 'interests') {
             if (!data[key]) data[key] = [];
             data[key].push(value);
-        } else if (key === 'skills') {
+        } else if (key === 'otherInterests') {
+            if (!data.interests) data.interests = [];
+            data.interests.push(...value.split(',').map(interest => interest.trim()).filter(interest => interest));
+        } else if (key === 'skills' || key === 'softSkills') {
             data[key] = value.split(',').map(skill => skill.trim()).filter(skill => skill);
         } else if (key === 'weeklyTime') {
             data[key] = parseInt(value);
+        } else if (key === 'planWeeks') {
+            data[key] = value ? parseInt(value) : null;
+        } else if (key === 'experienceLevel') {
+            data[key] = value || null;
         } else {
             data[key] = value;
         }
@@ -297,6 +538,411 @@ function serializeForm(formElement) {
     return data;
 }
 
+// Skills tag input with autocomplete on the profile form
+// Each entry keeps the text the user typed (including any level suffix) and
+// the canonical name the server resolved it to. The hidden `skills` input
+// holds the entries comma-separated, so form handling is unchanged.
+const SKILL_SUGGEST_DELAY_MS = 200;
+const skillTags = [];
+// Suggest lookups of entered skills that have not answered yet
+const pendingSkillLookups = new Set();
+
+// "python (advanced)" → { name: 'python', suffix: ' (advanced)' }
+function splitSkillEntry(entry) {
+    const match = entry.match(/^(.*?)\s*(\([^)]*\))\s*$/);
+    return match ? { name: match[1], suffix: ` ${match[2]}` } : { name: entry, suffix: '' };
+}
+
+function setupSkillTagInput() {
+    const entryInput = document.getElementById('skillsEntry');
+    const suggestionList = document.getElementById('skillsSuggestions');
+    if (!entryInput || !suggestionList) return;
+    
+    let suggestTimer = null;
+    let activeIndex = -1;
+    
+    const hideSuggestions = () => {
+        suggestionList.hidden = true;
+        suggestionList.innerHTML = '';
+        entryInput.setAttribute('aria-expanded', 'false');
+        activeIndex = -1;
+    };
+    
+    const highlight = index => {
+        const items = suggestionList.querySelectorAll('li');
+        if (items.length === 0) return;
+        activeIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+    };
+    
+    const commitEntry = text => {
+        hideSuggestions();
+        entryInput.value = '';
+        text.split(',').map(part => part.trim()).filter(part => part).forEach(addSkillTag);
+    };
+    
+    const selectSuggestion = name => {
+        const { suffix } = splitSkillEntry(entryInput.value.trim());
+        commitEntry(`${name}${suffix}`);
+        entryInput.focus();
+    };
+    
+    const renderSkillSuggestions = suggestions => {
+        activeIndex = -1;
+        if (!suggestions || suggestions.length === 0) {
+            hideSuggestions();
+            return;
+        }
+        suggestionList.innerHTML = suggestions.map(suggestion => `
+            <li role="option" data-name="${escapeHtml(suggestion.name)}">
+                ${escapeHtml(suggestion.name)}${suggestion.alias ? ` <small>(${escapeHtml(suggestion.alias)})</small>` : ''}
+            </li>
+        `).join('');
+        suggestionList.hidden = false;
+        entryInput.setAttribute('aria-expanded', 'true');
+    };
+    
+    entryInput.addEventListener('input', () => {
+        const value = entryInput.value;
+        if (value.includes(',')) {
+            commitEntry(value);
+            return;
+        }
+        
+        clearTimeout(suggestTimer);
+        const { name } = splitSkillEntry(value.trim());
+        if (!name) {
+            hideSuggestions();
+            return;
+        }
+        suggestTimer = setTimeout(async () => {
+            const result = await window.api.suggestSkills(name);
+            // Ignore responses for text the user has since changed
+            if (!result || splitSkillEntry(entryInput.value.trim()).name !== name) return;
+            renderSkillSuggestions(result.suggestions);
+        }, SKILL_SUGGEST_DELAY_MS);
+    });
+    
+    entryInput.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            highlight(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+        } else if (event.key === 'Enter') {
+            // Enter adds a skill instead of submitting the form
+            event.preventDefault();
+            const active = suggestionList.querySelectorAll('li')[activeIndex];
+            if (active) {
+                selectSuggestion(active.dataset.name);
+            } else {
+                commitEntry(entryInput.value);
+            }
+        } else if (event.key === 'Escape') {
+            hideSuggestions();
+        } else if (event.key === 'Backspace' && !entryInput.value && skillTags.length > 0) {
+            removeSkillTag(skillTags.length - 1);
+        }
+    });
+    
+    // Leaving the field (e.g. clicking submit) adds whatever was typed
+    entryInput.addEventListener('blur', () => {
+        if (entryInput.value.trim()) commitEntry(entryInput.value);
+        hideSuggestions();
+    });
+    
+    // mousedown fires before the input's blur, so the click is not lost
+    suggestionList.addEventListener('mousedown', event => {
+        const item = event.target.closest('li');
+        if (!item) return;
+        event.preventDefault();
+        selectSuggestion(item.dataset.name);
+    });
+    
+    document.getElementById('skillsTags').addEventListener('click', event => {
+        const button = event.target.closest('button[data-index]');
+        if (button) removeSkillTag(Number(button.dataset.index));
+    });
+}
+
+async function addSkillTag(entry) {
+    const { name } = splitSkillEntry(entry);
+    if (!name || skillTags.some(tag => tag.entry.toLowerCase() === entry.toLowerCase())) return;
+    
+    const tag = { entry, canonical: null, known: null };
+    skillTags.push(tag);
+    renderSkillTags();
+    
+    const lookup = window.api.suggestSkills(name, 1);
+    pendingSkillLookups.add(lookup);
+    const result = await lookup;
+    pendingSkillLookups.delete(lookup);
+    if (result) {
+        tag.canonical = result.canonical;
+        tag.known = result.known;
+        renderSkillTags();
+    }
+}
+
+function removeSkillTag(index) {
+    skillTags.splice(index, 1);
+    renderSkillTags();
+}
+
+function renderSkillTags() {
+    const container = document.getElementById('skillsTags');
+    const hiddenInput = document.getElementById('skills');
+    if (!container || !hiddenInput) return;
+    
+    container.innerHTML = skillTags.map((tag, index) => {
+        const { name, suffix } = splitSkillEntry(tag.entry);
+        const corrected = tag.canonical && tag.canonical !== name.toLowerCase();
+        const label = corrected ? `${name} → ${tag.canonical}${suffix}` : tag.entry;
+        const state = tag.known === false ? 'unknown' : 'known';
+        const title = tag.known === false ? t('tags.unknown') : t('tags.matchedAs', { name: tag.canonical || name });
+        return `
+            <span class="tag-item ${state}" title="${escapeHtml(title)}">
+                ${escapeHtml(label)}
+                <button type="button" data-index="${index}" aria-label="${escapeHtml(t('tags.remove', { name }))}">×</button>
+            </span>
+        `;
+    }).join('');
+    hiddenInput.value = skillTags.map(tag => tag.entry).join(', ');
+    
+    const warning = document.getElementById('skillsWarning');
+    const unrecognized = getUnrecognizedSkills();
+    if (warning) {
+        warning.hidden = unrecognized.length === 0;
+        warning.textContent = unrecognized.length > 0
+            ? t('tags.unrecognized', { skills: unrecognized.join(', ') })
+            : '';
+    }
+}
+
+// Extracted skills (from a description or a resume) waiting for the user to
+// add or skip them. Hard skills go into Current Skills, soft skills into Soft Skills.
+const AUTO_ACCEPT_CONFIDENCE = 0.7;
+let extractedSkills = [];
+const softSkillTags = [];
+
+/**
+ * Merge skills returned by the extract endpoints into the form
+ * @param {Object} result - { hardSkills, softSkills } from the API
+ * @param {number|null} autoAcceptConfidence - Add skills at or above this confidence without asking
+ * @returns {Object} - { added, pending } counts
+ */
+function reviewExtractedSkills(result, autoAcceptConfidence = null) {
+    const known = new Set([
+        ...skillTags.map(tag => splitSkillEntry(tag.entry).name.toLowerCase()),
+        ...softSkillTags,
+        ...extractedSkills.map(skill => skill.name)
+    ]);
+    let added = 0;
+    let pending = 0;
+    
+    const candidates = [
+        ...(result.hardSkills || []).map(skill => ({ ...skill, kind: 'hard' })),
+        ...(result.softSkills || []).map(skill => ({ ...skill, kind: 'soft' }))
+    ];
+    candidates.forEach(skill => {
+        if (known.has(skill.name)) return;
+        known.add(skill.name);
+        if (autoAcceptConfidence !== null && skill.confidence >= autoAcceptConfidence) {
+            acceptExtractedSkill(skill);
+            added++;
+        } else {
+            extractedSkills.push(skill);
+            pending++;
+        }
+    });
+    
+    renderExtractedSkills();
+    return { added, pending };
+}
+
+function acceptExtractedSkill(skill) {
+    if (skill.kind === 'soft') {
+        addSoftSkill(skill.name);
+    } else {
+        addSkillTag(skill.name);
+    }
+}
+
+function addSoftSkill(name) {
+    if (!softSkillTags.includes(name)) softSkillTags.push(name);
+    renderSoftSkills();
+}
+
+function renderSoftSkills() {
+    const group = document.getElementById('softSkillsGroup');
+    const container = document.getElementById('softSkillsTags');
+    const hiddenInput = document.getElementById('softSkills');
+    if (!group || !container || !hiddenInput) return;
+    
+    group.hidden = softSkillTags.length === 0;
+    container.innerHTML = softSkillTags.map((name, index) => `
+        <span class="tag-item known">
+            ${escapeHtml(window.i18n.skillName(name))}
+            <button type="button" data-index="${index}" aria-label="${escapeHtml(t('tags.remove', { name: window.i18n.skillName(name) }))}">×</button>
+        </span>
+    `).join('');
+    hiddenInput.value = softSkillTags.join(', ');
+}
+
+function renderExtractedSkills() {
+    const panel = document.getElementById('extractedSkills');
+    if (!panel) return;
+    
+    panel.hidden = extractedSkills.length === 0;
+    if (extractedSkills.length === 0) {
+        panel.innerHTML = '';
+        return;
+    }
+    
+    const renderGroup = (kind, titleKey) => {
+        const rows = extractedSkills
+            .map((skill, index) => ({ skill, index }))
+            .filter(({ skill }) => skill.kind === kind);
+        if (rows.length === 0) return '';
+        return `
+            <h5>${t(titleKey)}</h5>
+            <ul class="extracted-skill-list">
+                ${rows.map(({ skill, index }) => `
+                    <li>
+                        <div>
+                            <strong>${escapeHtml(window.i18n.skillName(skill.name))}</strong>
+                            <span class="extracted-confidence">${t('extracted.confidence', { percent: Math.round(skill.confidence * 100) })}</span>
+                            ${skill.evidence ? `<q class="extracted-evidence">${escapeHtml(skill.evidence)}</q>` : ''}
+                        </div>
+                        <div class="extracted-skill-actions">
+                            <button type="button" class="btn btn-primary" data-action="accept" data-index="${index}">${t('extracted.add')}</button>
+                            <button type="button" class="btn btn-secondary" data-action="reject" data-index="${index}">${t('extracted.skip')}</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    };
+    
+    panel.innerHTML = `
+        <p>${t('extracted.intro')}</p>
+        ${renderGroup('hard', 'extracted.technical')}
+        ${renderGroup('soft', 'extracted.soft')}
+        <button type="button" class="btn btn-secondary" data-action="accept-all">${t('extracted.addAll')}</button>
+    `;
+}
+
+function setupExtractedSkills() {
+    const panel = document.getElementById('extractedSkills');
+    if (panel) {
+        panel.addEventListener('click', event => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            if (button.dataset.action === 'accept-all') {
+                extractedSkills.forEach(acceptExtractedSkill);
+                extractedSkills = [];
+            } else {
+                const [skill] = extractedSkills.splice(Number(button.dataset.index), 1);
+                if (button.dataset.action === 'accept') acceptExtractedSkill(skill);
+            }
+            renderExtractedSkills();
+        });
+    }
+    
+    const softSkillsContainer = document.getElementById('softSkillsTags');
+    if (softSkillsContainer) {
+        softSkillsContainer.addEventListener('click', event => {
+            const button = event.target.closest('button[data-index]');
+            if (!button) return;
+            softSkillTags.splice(Number(button.dataset.index), 1);
+            renderSoftSkills();
+        });
+    }
+}
+
+// Run an extraction from a form button, reporting failures as a toast
+async function runSkillExtraction(button, extract) {
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = t('extracted.finding');
+    try {
+        return await extract();
+    } catch (error) {
+        console.error('Skill extraction failed:', error);
+        const message = error.serverMessage || (error.status ? window.api.getHTTPErrorMessage(error) : error.message);
+        showToastMessage(t('extracted.failed', { message }), 'error');
+        return null;
+    } finally {
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+}
+
+function getFormLanguage() {
+    const select = document.getElementById('language');
+    return (select && select.value) || window.i18n.getLanguage();
+}
+
+// "Describe yourself": confident skills are added, the rest need confirming
+function setupSelfDescription() {
+    const button = document.getElementById('extractSkillsBtn');
+    const textarea = document.getElementById('selfDescription');
+    if (!button || !textarea) return;
+    
+    button.addEventListener('click', async () => {
+        const text = textarea.value.trim();
+        if (text.length < 10) {
+            showToastMessage(t('extracted.describeFirst'), 'warning');
+            return;
+        }
+        
+        const result = await runSkillExtraction(button, () => window.api.extractSkills(text, getFormLanguage()));
+        if (!result) return;
+        const { added, pending } = reviewExtractedSkills(result, AUTO_ACCEPT_CONFIDENCE);
+        if (added === 0 && pending === 0) {
+            showToastMessage(t('extracted.noneInDescription'), 'warning');
+        } else {
+            const more = pending > 0 ? t('extracted.confirmMore', { count: pending }) : '';
+            showToastMessage(`${t('extracted.added', { count: added })}${more}`, 'success');
+        }
+    });
+}
+
+// Resume import: every extracted skill is listed for the user to add or skip
+function setupResumeUpload() {
+    const button = document.getElementById('resumeExtractBtn');
+    const fileInput = document.getElementById('resumeFile');
+    if (!button || !fileInput) return;
+    
+    button.addEventListener('click', async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            showToastMessage(t('extracted.chooseResume'), 'warning');
+            return;
+        }
+        
+        const result = await runSkillExtraction(button, async () => {
+            const path = await window.app.uploadResume(window.app.currentUser.uid, file);
+            return window.api.extractResumeSkills(path, getFormLanguage());
+        });
+        if (!result) return;
+        fileInput.value = '';
+        if (reviewExtractedSkills(result).pending === 0) {
+            showToastMessage(t('extracted.noneInResume'), 'warning');
+        }
+    });
+}
+
+// Resolves once every entered skill has been looked up, e.g. one committed
+// on blur just before the form is submitted
+function waitForSkillLookups() {
+    return Promise.all([...pendingSkillLookups]);
+}
+
+// Entered skills the server did not find in its skill vocabulary
+function getUnrecognizedSkills() {
+    return skillTags.filter(tag => tag.known === false).map(tag => splitSkillEntry(tag.entry).name);
+}
+
 // Loading states
 function showLoadingState(elementId) {
     const element = document.getElementById(elementId);
@@ -304,7 +950,7 @@ function showLoadingState(elementId) {
         element.innerHTML = `
             <div class="loading-content">
                 <div class="spinner"></div>
-                <p>Loading...</p>
+                <p>${t('loading.short')}</p>
             </div>
         `;
     }
@@ -410,29 +1056,62 @@ function setupDashboardEventHandlers() {
 // Action functions
 async function regenerateRecommendations() {
     if (!window.app.currentUser || !window.app.userProfile) {
-        showToastMessage('Please complete your profile first', 'error');
+        showToastMessage(t('toast.completeProfile'), 'error');
         return;
     }
     
     try {
-        showToastMessage('Generating new recommendations...', 'info');
+        showToastMessage(t('toast.generating'), 'info');
         
-        const recommendations = await getRecommendations(window.app.userProfile);
+        const recommendations = await streamRecommendationsIntoDashboard(window.app.userProfile);
         if (recommendations) {
-            await window.app.saveRecommendations(window.app.currentUser.uid, recommendations);
-            window.location.reload();
+            renderRecommendations(recommendations);
+            showToastMessage(t('toast.updated'), 'success');
         } else {
-            showToastMessage('Failed to generate new recommendations', 'error');
+            showToastMessage(t('toast.generateFailed'), 'error');
         }
     } catch (error) {
         console.error('Error regenerating recommendations:', error);
-        showToastMessage('Failed to regenerate recommendations', 'error');
+        const message = error.status
+            ? window.api.getHTTPErrorMessage(error)
+            : t('toast.regenerateFailed');
+        showToastMessage(message, 'error');
     }
 }
 
+// Fill recommendation cards in as streamed events arrive
+async function streamRecommendationsIntoDashboard(profile) {
+    const container = document.getElementById('recommendationsContainer');
+    if (container) container.innerHTML = '';
+    
+    const streamed = [];
+    window.currentRecommendations = streamed;
+    
+    return window.api.streamRecommendations(profile, (event, data) => {
+        if (event === 'role') {
+            streamed.push({ ...data });
+            updateRecommendationCard(streamed[streamed.length - 1], streamed.length - 1);
+            return;
+        }
+        
+        const index = streamed.findIndex(rec => rec.roleId === data.roleId);
+        if (index === -1) return;
+        
+        if (event === 'explanation') {
+            streamed[index].why = data.why;
+        } else if (event === 'plan') {
+            streamed[index].plan = data.plan;
+            streamed[index].planSource = data.planSource;
+        } else if (event === 'role_error') {
+            streamed[index].failed = true;
+        }
+        updateRecommendationCard(streamed[index], index);
+    });
+}
+
 async function saveLearningPlan() {
     if (!window.currentLearningPlan) {
-        showToastMessage('No learning plan to save', 'error');
+        showToastMessage(t('toast.noPlanToSave'), 'error');
         return;
     }
     
@@ -443,14 +1122,18 @@ async function saveLearningPlan() {
                 roleId: window.currentLearningPlan.roleId,
                 title: window.currentLearningPlan.title,
                 plan: window.currentLearningPlan.plan,
+                recommendationId: window.currentRecommendationId || null,
+                completedItems: [],
+                progress: window.planLibrary.calculatePlanProgress(window.currentLearningPlan.plan, []),
                 savedAt: firebase.firestore.FieldValue.serverTimestamp()
             });
         
-        showToastMessage('Learning plan saved successfully!', 'success');
+        showToastMessage(t('toast.planSaved'), 'success');
         hideModal('planModal');
+        window.planLibrary.loadPlanProgressSummary();
     } catch (error) {
         console.error('Error saving learning plan:', error);
-        showToastMessage('Failed to save learning plan', 'error');
+        showToastMessage(t('toast.planSaveFailed'), 'error');
     }
 }
 
@@ -461,13 +1144,13 @@ function editProfile() {
 
 async function confirmDeleteData() {
     if (!window.app.currentUser) {
-        showToastMessage('No user logged in', 'error');
+        showToastMessage(t('toast.noUser'), 'error');
         return;
     }
     
     try {
         await window.app.deleteUserData(window.app.currentUser.uid);
-        showToastMessage('All data deleted successfully', 'success');
+        showToastMessage(t('toast.dataDeleted'), 'success');
         hideModal('deleteModal');
         
         // Sign out and redirect
@@ -476,29 +1159,74 @@ async function confirmDeleteData() {
         }, 1500);
     } catch (error) {
         console.error('Error deleting user data:', error);
-        showToastMessage('Failed to delete user data', 'error');
+        showToastMessage(t('toast.deleteFailed'), 'error');
     }
 }
 
+// Re-render everything built from templates after a language switch;
+// static markup is handled by data-i18n attributes
+function rerenderForLanguage() {
+    if (document.getElementById('recommendationsContainer') && window.currentRecommendations) {
+        renderRecommendations(window.currentRecommendations);
+    }
+    
+    const planModal = document.getElementById('planModal');
+    const planIndex = (window.currentRecommendations || []).indexOf(window.currentLearningPlan);
+    if (planModal && planModal.style.display !== 'none' && planIndex !== -1) {
+        viewLearningPlan(planIndex);
+    }
+    
+    const profileModal = document.getElementById('profileModal');
+    if (profileModal && profileModal.style.display !== 'none') {
+        showProfileModal();
+    }
+    
+    renderSkillTags();
+    renderSoftSkills();
+    renderExtractedSkills();
+}
+
+// Default the preferred-language field to the interface language
+function syncFormLanguage(language) {
+    const select = document.getElementById('language');
+    if (select && !select.value) {
+        select.value = language;
+    }
+}
+
+document.addEventListener('i18n:change', event => {
+    rerenderForLanguage();
+    syncFormLanguage(event.detail.language);
+});
+
 // Initialize dashboard when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Check if we're on the dashboard page
     if (window.location.pathname.includes('dashboard.html')) {
         setupDashboardEventHandlers();
     }
+    
+    setupSkillTagInput();
+    setupExtractedSkills();
+    setupSelfDescription();
+    setupResumeUpload();
 });
 
 // Export functions for global use
 window.ui = {
+    escapeHtml,
     showToastMessage,
     showModal,
     hideModal,
     renderRecommendations,
+    updateRecommendationCard,
     viewLearningPlan,
     showProfileModal,
     downloadPDF,
     validateForm,
     serializeForm,
+    waitForSkillLookups,
+    getUnrecognizedSkills,
     showLoadingState,
     hideLoadingState,
     showError,